@@ -0,0 +1,658 @@
+/**
+ * DOM-Aware Server Conformance
+ *
+ * Checks a server against what index.mjs and das-ws.mjs expect of it, by
+ * making the same requests they do against a page it serves. The checks
+ * change the page: they add elements to a sandbox element, change them and
+ * delete them again.
+ *
+ * Every check is either required (the client breaks without it) or
+ * recommended (a feature of the client won't work), and ends up as one of
+ * pass, fail, warn (a recommended check that failed) or skip.
+ */
+
+import { parseMultipart } from '../multipart/index.mjs';
+import { DELTA_CONTENT_TYPE } from '../dom-delta/index.mjs';
+
+const STREAM_CONTENT_TYPE = 'application/das-stream+html';
+const TRANSACTION_CONTENT_TYPE = 'application/das-transaction+json';
+const STREAM_ITEM_TYPE = 'http://rustybeam.net/StreamItem';
+const MUTATION_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// An HTTP method is a token (RFC 9110)
+const TOKEN = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+export class ConformanceFailure extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConformanceFailure';
+    }
+}
+
+class Skip extends Error {}
+
+function withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new ConformanceFailure(message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function requestId() {
+    return `das-conformance-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/*
+    The context every check runs with
+*/
+class Context {
+    constructor(options) {
+        this.url = new URL(options.url, globalThis.location?.href).href;
+        this.sandbox = options.sandbox;
+        this.readOnly = options.readOnly;
+        this.timeout = options.timeout;
+        this.fetch = options.fetch;
+        this.WebSocket = options.WebSocket;
+        this.EventSource = options.EventSource;
+        this.DOMParser = options.DOMParser;
+        // What earlier checks found, for the ones after them
+        this.state = { created: [], allow: null };
+    }
+
+    request(method, selector, { headers = {}, body } = {}) {
+        const requestHeaders = new Headers(headers);
+        if (selector) {
+            requestHeaders.set('Range', `selector=${selector}`);
+        }
+        if (MUTATION_METHODS.includes(method) && !requestHeaders.has('DAS-Request-Id')) {
+            requestHeaders.set('DAS-Request-Id', requestId());
+        }
+        return this.fetch(this.url, { method, headers: requestHeaders, body, cache: 'no-store' });
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new ConformanceFailure(message);
+        }
+    }
+
+    skip(message) {
+        throw new Skip(message);
+    }
+
+    // The way htmlToNode() parses a response body: it has to be one node
+    parseFragment(html) {
+        const doc = new this.DOMParser().parseFromString('<template></template>', 'text/html');
+        const template = doc.querySelector('template');
+        template.innerHTML = html.trim();
+        return Array.from(template.content.childNodes);
+    }
+
+    expectSingleElement(html, what) {
+        const nodes = this.parseFragment(html);
+        this.assert(nodes.length === 1 && nodes[0].nodeType === 1,
+            `${what} must be exactly one element (without surrounding whitespace or text), got ${nodes.length} node(s)`);
+        return nodes[0];
+    }
+
+    expectStatus(response, expected, what) {
+        const ok = typeof expected === 'function' ? expected(response.status) : response.status === expected;
+        this.assert(ok, `${what} answered ${response.status}`);
+    }
+
+    async currentDocument() {
+        const response = await this.fetch(this.url, { headers: { 'Accept': 'text/html' }, cache: 'no-store' });
+        return new this.DOMParser().parseFromString(await response.text(), 'text/html');
+    }
+
+    // A new element for a check to change
+    element(marker) {
+        const id = `das-conformance-${Date.now().toString(36)}-${this.state.created.length}`;
+        return { id, html: `<div id="${id}" class="das-conformance">${marker}</div>` };
+    }
+}
+
+const ok = status => status >= 200 && status < 300;
+
+/*
+    Checks
+    { id, group, name, level: 'required' | 'recommended', requires: [check ids], run(context) }
+    A check whose requirements didn't pass is skipped.
+*/
+export const checks = [
+    // Capability detection
+    {
+        id: 'options-accept-ranges',
+        group: 'Capability detection',
+        name: 'OPTIONS on the page lists "selector" in Accept-Ranges',
+        level: 'required',
+        async run(t) {
+            const response = await t.fetch(t.url, { method: 'OPTIONS', cache: 'no-store' });
+            t.expectStatus(response, ok, 'OPTIONS');
+            const units = (response.headers.get('Accept-Ranges') || '').split(',').map(unit => unit.trim().toLowerCase());
+            t.assert(units.includes('selector'), `Accept-Ranges is "${response.headers.get('Accept-Ranges') ?? ''}"`);
+        }
+    },
+    {
+        id: 'options-allow',
+        group: 'Capability detection',
+        name: 'OPTIONS with a selector Range lists the allowed methods in Allow, separated by commas',
+        level: 'required',
+        requires: ['options-accept-ranges'],
+        async run(t) {
+            const response = await t.request('OPTIONS', t.sandbox);
+            t.expectStatus(response, ok, 'OPTIONS');
+            const allow = response.headers.get('Allow');
+            t.assert(allow !== null, 'Allow is missing');
+            const methods = allow.split(',').map(method => method.trim()).filter(Boolean);
+            const malformed = methods.filter(method => !TOKEN.test(method));
+            t.assert(!malformed.length, `Allow has entries that aren't methods: ${malformed.map(method => `"${method}"`).join(', ')}`);
+            const missing = ['GET', ...MUTATION_METHODS.filter(method => method !== 'PATCH')]
+                .filter(method => !methods.map(m => m.toUpperCase()).includes(method));
+            t.assert(!missing.length, `the sandbox must allow ${missing.join(', ')}; Allow is "${allow}"`);
+            t.state.allow = methods.map(method => method.toUpperCase());
+        }
+    },
+    {
+        id: 'options-allow-per-selector',
+        group: 'Capability detection',
+        name: 'Allow depends on the selector',
+        level: 'recommended',
+        requires: ['options-allow'],
+        async run(t) {
+            if (!t.readOnly) {
+                t.skip('no read-only selector given');
+            }
+            const response = await t.request('OPTIONS', t.readOnly);
+            t.expectStatus(response, ok, 'OPTIONS');
+            const methods = (response.headers.get('Allow') || '').split(',').map(method => method.trim().toUpperCase());
+            const allowed = MUTATION_METHODS.filter(method => methods.includes(method));
+            t.assert(!allowed.length, `Allow for ${t.readOnly} includes ${allowed.join(', ')}`);
+
+            const put = await t.request('PUT', t.readOnly, { body: '<div></div>', headers: { 'Content-Type': 'text/html' } });
+            t.assert(!ok(put.status), `PUT to ${t.readOnly} answered ${put.status}`);
+        }
+    },
+
+    // Reading
+    {
+        id: 'get-range',
+        group: 'Selector ranges',
+        name: 'GET with a selector Range answers with the element as text/html',
+        level: 'required',
+        requires: ['options-accept-ranges'],
+        async run(t) {
+            const response = await t.request('GET', t.sandbox);
+            t.expectStatus(response, 200, 'GET');
+            t.assert((response.headers.get('Content-Type') || '').includes('text/html'),
+                `Content-Type is "${response.headers.get('Content-Type') ?? ''}"`);
+            t.expectSingleElement(await response.text(), 'The body');
+        }
+    },
+    {
+        id: 'get-etag',
+        group: 'Selector ranges',
+        name: 'GET of an element has an ETag, for If-Match',
+        level: 'recommended',
+        requires: ['get-range'],
+        async run(t) {
+            const response = await t.request('GET', t.sandbox);
+            t.assert(response.headers.get('ETag'), 'ETag is missing');
+        }
+    },
+    {
+        id: 'get-no-match',
+        group: 'Selector ranges',
+        name: 'GET with a selector that matches nothing fails',
+        level: 'required',
+        requires: ['get-range'],
+        async run(t) {
+            const response = await t.request('GET', '#das-conformance-missing');
+            t.expectStatus(response, status => !ok(status), 'GET of #das-conformance-missing');
+        }
+    },
+    {
+        id: 'head-range',
+        group: 'Selector ranges',
+        name: 'HEAD with a selector Range succeeds without a body',
+        level: 'recommended',
+        requires: ['get-range'],
+        async run(t) {
+            const response = await t.request('HEAD', t.sandbox);
+            t.expectStatus(response, ok, 'HEAD');
+            t.assert(!(await response.text()), 'HEAD answered with a body');
+        }
+    },
+
+    // Changes
+    {
+        id: 'post-append',
+        group: 'Selector ranges',
+        name: 'POST appends to the element, and answers with what was appended as text/html',
+        level: 'required',
+        requires: ['options-accept-ranges'],
+        async run(t) {
+            for (const marker of ['first', 'second']) {
+                const element = t.element(marker);
+                const response = await t.request('POST', t.sandbox, { body: element.html, headers: { 'Content-Type': 'text/html' } });
+                t.expectStatus(response, ok, 'POST');
+                t.state.created.push(element.id);
+
+                // Without text/html, the client doesn't append anything
+                const body = await response.text();
+                const contentType = response.headers.get('Content-Type') || '';
+                t.assert(!body || contentType.includes('text/html'), `POST answered with a body of Content-Type "${contentType}"`);
+                if (body) {
+                    t.assert(t.expectSingleElement(body, 'The body').id === element.id, 'The body is not the appended element');
+                }
+            }
+            const response = await t.request('GET', `#${t.state.created[0]}`);
+            t.expectStatus(response, 200, 'GET of the appended element');
+        }
+    },
+    {
+        id: 'post-returns-html',
+        group: 'Selector ranges',
+        name: 'POST answers with the appended element, for the client to append',
+        level: 'recommended',
+        requires: ['post-append'],
+        async run(t) {
+            const element = t.element('third');
+            const response = await t.request('POST', t.sandbox, { body: element.html, headers: { 'Content-Type': 'text/html' } });
+            t.expectStatus(response, ok, 'POST');
+            t.state.created.push(element.id);
+            t.assert(await response.text(), 'POST answered without a body');
+        }
+    },
+    {
+        id: 'put-replace',
+        group: 'Selector ranges',
+        name: 'PUT replaces the element, answering with nothing or the new element',
+        level: 'required',
+        requires: ['post-append'],
+        async run(t) {
+            const [id] = t.state.created;
+            const response = await t.request('PUT', `#${id}`, {
+                body: `<div id="${id}" class="das-conformance">replaced</div>`,
+                headers: { 'Content-Type': 'text/html' }
+            });
+            t.expectStatus(response, ok, 'PUT');
+            const body = await response.text();
+            if (body && (response.headers.get('Content-Type') || '').includes('text/html')) {
+                t.expectSingleElement(body, 'The body');
+            }
+            const check = await t.request('GET', `#${id}`);
+            t.assert((await check.text()).includes('replaced'), 'GET after PUT has the old content');
+        }
+    },
+    {
+        id: 'if-match',
+        group: 'Selector ranges',
+        name: 'PUT with a stale If-Match fails with 412',
+        level: 'recommended',
+        requires: ['put-replace'],
+        async run(t) {
+            const [id] = t.state.created;
+            const response = await t.request('PUT', `#${id}`, {
+                body: `<div id="${id}" class="das-conformance">conflict</div>`,
+                headers: { 'Content-Type': 'text/html', 'If-Match': '"das-conformance-stale"' }
+            });
+            t.expectStatus(response, 412, 'PUT with a stale If-Match');
+        }
+    },
+    {
+        id: 'patch-delta',
+        group: 'Selector ranges',
+        name: `PATCH applies ${DELTA_CONTENT_TYPE}`,
+        level: 'recommended',
+        requires: ['put-replace'],
+        async run(t) {
+            if (t.state.allow && !t.state.allow.includes('PATCH')) {
+                t.skip('PATCH is not allowed');
+            }
+            const [id] = t.state.created;
+            const response = await t.request('PATCH', `#${id}`, {
+                body: JSON.stringify([{ op: 'set-attribute', path: [], name: 'data-patched', value: 'yes' }]),
+                headers: { 'Content-Type': DELTA_CONTENT_TYPE }
+            });
+            t.expectStatus(response, ok, 'PATCH');
+            const contentType = response.headers.get('Content-Type') || '';
+            const body = await response.text();
+            if (body && contentType.includes('text/html')) {
+                t.expectSingleElement(body, 'The body');
+            } else if (body && contentType.includes(DELTA_CONTENT_TYPE)) {
+                t.assert(Array.isArray(JSON.parse(body)), 'The body is not an array of deltas');
+            }
+            const check = await t.request('GET', `#${id}`);
+            t.assert((await check.text()).includes('data-patched'), 'GET after PATCH does not have the attribute');
+        }
+    },
+    {
+        id: 'get-multiple',
+        group: 'Selector ranges',
+        name: 'GET of a selector matching several elements answers with all of them',
+        level: 'recommended',
+        requires: ['post-append'],
+        async run(t) {
+            const response = await t.request('GET', `${t.sandbox} > .das-conformance`, {
+                headers: { 'Accept': 'multipart/mixed, text/html' }
+            });
+            t.expectStatus(response, 200, 'GET');
+            const contentType = response.headers.get('Content-Type') || '';
+            const body = await response.text();
+            const count = contentType.includes('multipart/mixed')
+                ? parseMultipart(body, contentType).length
+                : t.parseFragment(body).filter(node => node.nodeType === 1).length;
+            t.assert(count === t.state.created.length, `expected ${t.state.created.length} elements, got ${count}`);
+        }
+    },
+    {
+        id: 'transaction',
+        group: 'Selector ranges',
+        name: `POST of ${TRANSACTION_CONTENT_TYPE} reports the outcome of every operation`,
+        level: 'recommended',
+        requires: ['put-replace'],
+        async run(t) {
+            const [id] = t.state.created;
+            const response = await t.fetch(t.url, {
+                method: 'POST',
+                headers: { 'Content-Type': TRANSACTION_CONTENT_TYPE, 'Accept': TRANSACTION_CONTENT_TYPE },
+                body: JSON.stringify({
+                    operations: [{
+                        method: 'PUT',
+                        selector: `#${id}`,
+                        range: `selector=#${id}`,
+                        headers: { 'DAS-Request-Id': requestId() },
+                        contentType: 'text/html',
+                        body: `<div id="${id}" class="das-conformance">transaction</div>`
+                    }]
+                }),
+                cache: 'no-store'
+            });
+            t.expectStatus(response, ok, 'The transaction');
+            t.assert((response.headers.get('Content-Type') || '').includes(TRANSACTION_CONTENT_TYPE),
+                `Content-Type is "${response.headers.get('Content-Type') ?? ''}"`);
+            const outcome = await response.json();
+            t.assert(typeof outcome.committed === 'boolean', '"committed" is missing');
+            t.assert(Array.isArray(outcome.results) && outcome.results.length === 1, 'There must be one result per operation');
+            t.assert(outcome.committed, `The transaction wasn't committed: ${JSON.stringify(outcome.results)}`);
+        }
+    },
+
+    // Streams
+    ...['websocket', 'sse', 'poll'].map(transport => ({
+        id: `stream-${transport}`,
+        group: 'Streams',
+        name: `Changes are pushed as StreamItems over ${transport === 'websocket' ? 'a WebSocket' : transport === 'sse' ? 'Server-Sent Events' : 'polling'}`,
+        level: 'recommended',
+        requires: ['put-replace'],
+        async run(t) {
+            const item = await captureStreamItem(t, transport);
+            t.state.streamItem = t.state.streamItem || item;
+        }
+    })),
+    {
+        id: 'stream',
+        group: 'Streams',
+        name: 'Changes are pushed over at least one transport',
+        level: 'required',
+        requires: ['put-replace'],
+        async run(t) {
+            t.assert(t.state.streamItem, 'None of the transports work');
+        }
+    },
+    {
+        id: 'stream-item-format',
+        group: 'Streams',
+        name: 'StreamItems have method, selector and content properties',
+        level: 'required',
+        requires: ['stream'],
+        async run(t) {
+            const { element, id } = t.state.streamItem;
+            const method = itemProperty(element, 'method')?.textContent.trim();
+            t.assert(method === 'PUT', `method is "${method ?? ''}"`);
+            const content = itemProperty(element, 'content');
+            t.assert(content, 'content is missing');
+            t.assert(t.expectSingleElement(content.innerHTML, 'The content of a PUT').id === id, 'The content is not the new element');
+        }
+    },
+    {
+        id: 'stream-item-selector',
+        group: 'Streams',
+        name: 'The selector of a StreamItem finds the changed element in the page',
+        level: 'required',
+        requires: ['stream'],
+        async run(t) {
+            const { element, id } = t.state.streamItem;
+            const selector = itemProperty(element, 'selector')?.textContent.trim();
+            t.assert(selector, 'selector is missing');
+            const doc = await t.currentDocument();
+            let found;
+            try {
+                found = doc.querySelector(selector);
+            } catch (error) {
+                throw new ConformanceFailure(`"${selector}" is not a valid selector`);
+            }
+            t.assert(found?.id === id, `"${selector}" finds ${found ? `<${found.localName}${found.id ? ` id="${found.id}"` : ''}>` : 'nothing'}`);
+        }
+    },
+    {
+        id: 'stream-item-sequence',
+        group: 'Streams',
+        name: 'StreamItems have a sequence, for catching up after reconnecting',
+        level: 'recommended',
+        requires: ['stream'],
+        async run(t) {
+            const sequence = itemProperty(t.state.streamItem.element, 'sequence')?.textContent.trim();
+            t.assert(sequence && Number.isFinite(Number(sequence)), `sequence is "${sequence ?? ''}"`);
+        }
+    },
+    {
+        id: 'stream-item-request-id',
+        group: 'Streams',
+        name: 'StreamItems carry the DAS-Request-Id of the request, so the client can tell its own changes apart',
+        level: 'recommended',
+        requires: ['stream'],
+        async run(t) {
+            const { element, requestId: sent } = t.state.streamItem;
+            const echoed = itemProperty(element, 'request-id')?.textContent.trim();
+            t.assert(echoed === sent, `request-id is "${echoed ?? ''}"`);
+        }
+    },
+
+    // Clean up
+    {
+        id: 'delete',
+        group: 'Selector ranges',
+        name: 'DELETE removes the element',
+        level: 'required',
+        requires: ['post-append'],
+        async run(t) {
+            for (const id of t.state.created.splice(0)) {
+                const response = await t.request('DELETE', `#${id}`);
+                t.expectStatus(response, ok, 'DELETE');
+                const check = await t.request('GET', `#${id}`);
+                t.assert(!check.ok, `GET after DELETE answered ${check.status}`);
+            }
+        }
+    }
+];
+
+// Find a property of an item, skipping any inside its content
+function itemProperty(itemElement, name) {
+    return Array.from(itemElement.querySelectorAll(`[itemprop="${name}"]`)).find(element =>
+        element.parentElement.closest('[itemscope]') === itemElement &&
+        !element.parentElement.closest('[itemprop="content"]')
+    );
+}
+
+// Subscribes with a transport, changes an element and waits for the StreamItem about it
+async function captureStreamItem(t, transport) {
+    const [id] = t.state.created;
+    const sent = requestId();
+    const messages = [];
+    let notify = () => {};
+    const received = (html) => {
+        messages.push(html);
+        notify();
+    };
+
+    const subscription = await subscribe(t, transport, received);
+    try {
+        const response = await t.request('PUT', `#${id}`, {
+            body: `<div id="${id}" class="das-conformance">streamed ${sent}</div>`,
+            headers: { 'Content-Type': 'text/html', 'DAS-Request-Id': sent }
+        });
+        t.expectStatus(response, ok, 'PUT');
+
+        const find = () => {
+            for (const html of messages) {
+                const doc = new t.DOMParser().parseFromString(html, 'text/html');
+                const element = Array.from(doc.querySelectorAll(`[itemtype="${STREAM_ITEM_TYPE}"]`))
+                    .find(item => item.innerHTML.includes(sent));
+                if (element) return element;
+            }
+            return null;
+        };
+        const element = await withTimeout(new Promise(resolve => {
+            notify = () => {
+                const element = find();
+                if (element) resolve(element);
+            };
+            notify();
+        }), t.timeout, `No StreamItem about the change arrived within ${t.timeout}ms` +
+            (messages.length ? ` (got ${messages.length} message(s) without one)` : ''));
+        return { element, id, requestId: sent, transport };
+    } finally {
+        subscription.close();
+    }
+}
+
+async function subscribe(t, transport, received) {
+    if (transport === 'websocket') {
+        if (!t.WebSocket) t.skip('WebSocket is not available here');
+        const url = new URL(t.url);
+        url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+        const socket = new t.WebSocket(url.href);
+        socket.onmessage = (event) => received(event.data);
+        try {
+            await withTimeout(new Promise((resolve, reject) => {
+                socket.onopen = resolve;
+                socket.onerror = () => reject(new ConformanceFailure('The WebSocket failed to open'));
+            }), t.timeout, 'The WebSocket did not open');
+        } catch (error) {
+            socket.close();
+            throw error;
+        }
+        return { close: () => socket.close() };
+    }
+
+    if (transport === 'sse') {
+        if (!t.EventSource) t.skip('EventSource is not available here');
+        const source = new t.EventSource(t.url);
+        source.onmessage = (event) => received(event.data);
+        try {
+            await withTimeout(new Promise((resolve, reject) => {
+                source.onopen = resolve;
+                source.onerror = () => reject(new ConformanceFailure('The event stream failed to open'));
+            }), t.timeout, 'The event stream did not open');
+        } catch (error) {
+            source.close();
+            throw error;
+        }
+        return { close: () => source.close() };
+    }
+
+    // Polling: the first answer has the ETag later polls send back
+    const first = await t.fetch(t.url, { headers: { 'Accept': STREAM_CONTENT_TYPE }, cache: 'no-store' });
+    t.expectStatus(first, 200, 'The first poll');
+    t.assert((first.headers.get('Content-Type') || '').includes(STREAM_CONTENT_TYPE),
+        `The first poll answered with Content-Type "${first.headers.get('Content-Type') ?? ''}"`);
+    let entityTag = first.headers.get('ETag');
+    t.assert(entityTag, 'The first poll has no ETag');
+    let stopped = false;
+    (async () => {
+        while (!stopped) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            const response = await t.fetch(t.url, {
+                headers: { 'Accept': STREAM_CONTENT_TYPE, 'If-None-Match': entityTag },
+                cache: 'no-store'
+            }).catch(() => null);
+            if (!response || stopped) continue;
+            entityTag = response.headers.get('ETag') || entityTag;
+            if (response.status === 200) {
+                const body = await response.text().catch(() => null);
+                if (body !== null) received(body);
+            }
+        }
+    })();
+    return { close: () => { stopped = true; } };
+}
+
+/**
+ * Runs the checks against a page served by a DOM-aware server
+ * @param {Object} options
+ * @param {string} options.url - The page
+ * @param {string} options.sandbox - A selector for an element of the page the checks may add elements to (default: 'body')
+ * @param {string} options.readOnly - A selector for an element the server doesn't allow changing, if there is one
+ * @param {number} options.timeout - How long to wait for a StreamItem, in milliseconds (default: 5000)
+ * @param {Function} options.onResult - Called with each result as it comes
+ * @param {Function} options.fetch, options.WebSocket, options.EventSource, options.DOMParser - Default to the globals
+ * @returns {Promise<Object>} { url, passed, failed, warnings, skipped, results: [{ id, group, name, level, status, message }] }
+ */
+export async function runConformance({
+    url,
+    sandbox = 'body',
+    readOnly = null,
+    timeout = 5000,
+    onResult = () => {},
+    fetch = globalThis.fetch?.bind(globalThis),
+    WebSocket = globalThis.WebSocket,
+    EventSource = globalThis.EventSource,
+    DOMParser = globalThis.DOMParser
+} = {}) {
+    const context = new Context({ url, sandbox, readOnly, timeout, fetch, WebSocket, EventSource, DOMParser });
+    const statuses = new Map();
+    const results = [];
+
+    for (const check of checks) {
+        const result = { id: check.id, group: check.group, name: check.name, level: check.level, status: 'pass', message: '' };
+        const unmet = (check.requires || []).filter(id => statuses.get(id) !== 'pass');
+        if (unmet.length) {
+            result.status = 'skip';
+            result.message = `Needs ${unmet.join(', ')}`;
+        } else {
+            try {
+                await check.run(context);
+            } catch (error) {
+                if (error instanceof Skip) {
+                    result.status = 'skip';
+                } else {
+                    result.status = check.level === 'required' ? 'fail' : 'warn';
+                }
+                result.message = error instanceof ConformanceFailure || error instanceof Skip
+                    ? error.message
+                    : `${error.name}: ${error.message}`;
+            }
+        }
+        statuses.set(check.id, result.status);
+        results.push(result);
+        onResult(result);
+    }
+
+    // Whatever a failed check left behind
+    for (const id of context.state.created) {
+        await context.request('DELETE', `#${id}`).catch(() => null);
+    }
+
+    const count = status => results.filter(result => result.status === status).length;
+    return {
+        url: context.url,
+        passed: count('pass'),
+        failed: count('fail'),
+        warnings: count('warn'),
+        skipped: count('skip'),
+        results
+    };
+}
@@ -0,0 +1,72 @@
+/**
+ * DOM-Aware Server Emulator: page side
+ *
+ * Registers the emulator's Service Worker, and applies the requests it
+ * hands over, since Service Workers have no DOMParser of their own.
+ *
+ *   import { startEmulator } from './das-emulator/client.mjs';
+ *   await startEmulator({ scriptURL: '/sw.js', policy: { rules: [{ selector: 'header', allow: ['GET', 'HEAD'] }] } });
+ *
+ * Import it before index.mjs, so that the OPTIONS probe is answered by the
+ * emulator.
+ */
+
+import { applyToHTML } from './core.mjs';
+
+let policy = {};
+
+function handleMessage(event) {
+    if (event.data?.type !== 'das-emulator:apply') {
+        return;
+    }
+    const [port] = event.ports;
+    try {
+        const { html, result } = applyToHTML(DOMParser, event.data.html, event.data.request, policy);
+        port.postMessage({ html, result });
+    } catch (error) {
+        port.postMessage({ error: error.message });
+    }
+}
+
+/**
+ * Starts emulating a DOM-aware server for this page
+ * @param {Object} options
+ * @param {string} options.scriptURL - The Service Worker script (default: '/sw.js')
+ * @param {string} options.scope - Its scope (default: the script's directory)
+ * @param {Object} options.policy - The methods allowed: { allow: [methods], rules: [{ selector, allow }] }
+ * @returns {Promise<ServiceWorkerRegistration>} The registration, once the worker controls the page
+ */
+export async function startEmulator({ scriptURL = '/sw.js', scope, policy: emulatorPolicy = {} } = {}) {
+    if (!('serviceWorker' in navigator)) {
+        throw new Error('das-emulator: Service Workers are not available');
+    }
+    policy = emulatorPolicy;
+    navigator.serviceWorker.addEventListener('message', handleMessage);
+    // Messages are held back until the page starts them, or the document has loaded
+    navigator.serviceWorker.startMessages();
+
+    const registration = await navigator.serviceWorker.register(scriptURL, { type: 'module', scope });
+    await navigator.serviceWorker.ready;
+
+    // The worker claims the pages that were loaded before it was installed
+    if (!navigator.serviceWorker.controller) {
+        await new Promise(resolve => {
+            navigator.serviceWorker.addEventListener('controllerchange', resolve, { once: true });
+        });
+    }
+    return registration;
+}
+
+/**
+ * Forgets every change made through the emulator
+ * @returns {Promise<void>}
+ */
+export async function resetEmulator() {
+    const registration = await navigator.serviceWorker.ready;
+    const channel = new MessageChannel();
+    const reset = new Promise(resolve => {
+        channel.port1.onmessage = () => resolve();
+    });
+    registration.active.postMessage({ type: 'das-emulator:reset' }, [channel.port2]);
+    await reset;
+}
@@ -0,0 +1,515 @@
+/**
+ * DOM-Aware Server Emulator: core
+ *
+ * Answers the requests dom-aware-primitives makes (OPTIONS, GET, HEAD, POST,
+ * PUT, PATCH and DELETE with a `Range: selector=...` header, transactions,
+ * and stream subscriptions) against stored HTML documents, so that pages
+ * and tests can run without a DOM-aware server.
+ *
+ * The work is split in two:
+ *
+ * - applyRequest(document, request, policy) does the DOM work on a parsed
+ *   Document, with whatever DOMParser the host has. It only deals in plain,
+ *   structured-cloneable objects, so a Service Worker (which has no
+ *   DOMParser) can hand it over to a page.
+ * - Emulator keeps the documents and the StreamItem history, and turns fetch
+ *   Requests into Responses. It runs unchanged in a Service Worker
+ *   (service-worker.mjs) and in Node (node.mjs).
+ */
+
+import { applyDeltas, DELTA_CONTENT_TYPE } from '../dom-delta/index.mjs';
+
+export const DEFAULT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+const STREAM_CONTENT_TYPE = 'application/das-stream+html';
+const TRANSACTION_CONTENT_TYPE = 'application/das-transaction+json';
+const STREAM_ITEM_TYPE = 'http://rustybeam.net/StreamItem';
+const STREAM_RESYNC_TYPE = 'http://rustybeam.net/StreamResync';
+const PERMISSION_CHANGE_TYPE = 'http://rustybeam.net/PermissionChange';
+
+// Statuses a Response can't be given a body for
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+/*
+    Policy
+    { allow: [methods], rules: [{ selector, allow: [methods] }] }
+    The first rule whose selector matches the element, or one of its
+    ancestors, decides what may be done to it; `allow` covers everything
+    else (every method by default).
+*/
+export function allowedMethods(policy = {}, element = null) {
+    const rule = element && (policy.rules || []).find(rule => element.closest(rule.selector));
+    return (rule?.allow || policy.allow || DEFAULT_METHODS).map(method => method.toUpperCase());
+}
+
+export function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// FNV-1a, enough to tell versions of a fragment apart
+export function entityTag(html) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < html.length; i++) {
+        hash ^= html.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return `"${(hash >>> 0).toString(16)}"`;
+}
+
+export function serializeDocument(doc) {
+    const doctype = doc.doctype ? `<!DOCTYPE ${doc.doctype.name}>\n` : '';
+    return doctype + doc.documentElement.outerHTML;
+}
+
+// A selector for an element as it is now, for Content-Range headers and StreamItems
+function selectorOf(element) {
+    const steps = [];
+    for (let el = element; el && el.nodeType === 1; el = el.parentNode) {
+        if (el.id && /^[A-Za-z_][\w-]*$/.test(el.id) && el.ownerDocument.querySelectorAll(`#${el.id}`).length === 1) {
+            steps.unshift(`#${el.id}`);
+            break;
+        }
+        if (el.localName === 'html' || !el.parentElement) {
+            steps.unshift(el.localName);
+            break;
+        }
+        steps.unshift(`${el.localName}:nth-child(${Array.from(el.parentElement.children).indexOf(el) + 1})`);
+    }
+    return steps.join(' > ');
+}
+
+function parseFragment(doc, html) {
+    const template = doc.createElement('template');
+    template.innerHTML = (html || '').trim();
+    return template.content;
+}
+
+function respond(status, headers = {}, body = null) {
+    return { status, headers, body, changes: [], changed: false };
+}
+
+function htmlResponse(status, element, extraHeaders = {}) {
+    return respond(status, {
+        'Content-Type': 'text/html',
+        'ETag': entityTag(element.outerHTML),
+        ...extraHeaders
+    }, element.outerHTML);
+}
+
+function preconditionFails(headers, elements) {
+    const ifMatch = headers['if-match'];
+    if (!ifMatch || ifMatch.trim() === '*') {
+        return false;
+    }
+    const tags = ifMatch.split(',').map(tag => tag.trim());
+    return elements.some(element => !tags.includes(entityTag(element.outerHTML)));
+}
+
+/**
+ * Applies a request to a parsed document
+ * @param {Document} doc - The document, changed in place
+ * @param {Object} request - { method, url, headers: { lowercase name: value }, body }
+ * @param {Object} policy - See allowedMethods()
+ * @returns {Object} { status, headers, body, changes, changed, document? } where changes
+ *   are the StreamItems to publish ({ method, selector, content?, requestId? }) and
+ *   document replaces the whole document after a PUT without a Range
+ */
+export function applyRequest(doc, request, policy = {}) {
+    const method = request.method.toUpperCase();
+    const headers = request.headers || {};
+    const contentType = headers['content-type'] || '';
+
+    if (method === 'POST' && contentType.includes(TRANSACTION_CONTENT_TYPE)) {
+        return applyTransaction(doc, request, policy);
+    }
+
+    const range = /^\s*([\w-]+)=(.*)$/s.exec(headers.range || '');
+    if (!range) {
+        return applyToDocument(doc, method, request, policy);
+    }
+    if (range[1].toLowerCase() !== 'selector') {
+        return respond(416, { 'Accept-Ranges': 'selector' });
+    }
+
+    const selector = range[2].trim();
+    let elements;
+    try {
+        elements = Array.from(doc.querySelectorAll(selector));
+    } catch (error) {
+        return respond(400, { 'Content-Type': 'text/plain' }, `Invalid selector: ${selector}`);
+    }
+    if (!elements.length) {
+        return respond(416, { 'Content-Type': 'text/plain' }, `No element matches ${selector}`);
+    }
+
+    // Every element has to allow the method
+    const allowed = allowedMethods(policy, elements[0]).filter(allowedMethod =>
+        elements.every(element => allowedMethods(policy, element).includes(allowedMethod))
+    );
+    if (method === 'OPTIONS') {
+        return respond(204, { 'Allow': allowed.join(', '), 'Accept-Ranges': 'selector' });
+    }
+    if (!allowed.includes(method)) {
+        return respond(405, { 'Allow': allowed.join(', ') });
+    }
+
+    const requestId = headers['das-request-id'] || null;
+    const result = applyToElements(doc, method, selector, elements, request);
+    result.changes.forEach(change => { change.requestId = requestId; });
+    return result;
+}
+
+function applyToDocument(doc, method, request, policy) {
+    const allowed = allowedMethods(policy);
+    if (method === 'OPTIONS') {
+        return respond(204, { 'Allow': allowed.join(', '), 'Accept-Ranges': 'selector' });
+    }
+    if (!allowed.includes(method)) {
+        return respond(405, { 'Allow': allowed.join(', ') });
+    }
+    const html = serializeDocument(doc);
+    switch (method) {
+        case 'GET':
+        case 'HEAD':
+            return respond(200, { 'Content-Type': 'text/html', 'ETag': entityTag(html) }, method === 'GET' ? html : null);
+        case 'PUT': {
+            if (preconditionFails(request.headers || {}, [doc.documentElement])) {
+                return respond(412);
+            }
+            const result = respond(204);
+            result.document = request.body || '';
+            result.changed = true;
+            // Subscribers can only start over
+            result.changes.push({ resync: true });
+            return result;
+        }
+        default:
+            return respond(405, { 'Allow': allowed.join(', ') });
+    }
+}
+
+function applyToElements(doc, method, selector, elements, request) {
+    const headers = request.headers || {};
+
+    switch (method) {
+        case 'GET':
+        case 'HEAD': {
+            if (elements.length === 1) {
+                const [element] = elements;
+                const tag = entityTag(element.outerHTML);
+                if (headers['if-none-match'] === tag) {
+                    return respond(304, { 'ETag': tag });
+                }
+                const result = htmlResponse(200, element, { 'Content-Range': `selector=${selector}` });
+                if (method === 'HEAD') result.body = null;
+                return result;
+            }
+            if ((headers.accept || '').includes('multipart/mixed')) {
+                const boundary = `das-${Math.random().toString(36).slice(2)}`;
+                const body = elements.map(element => [
+                    `--${boundary}`,
+                    'Content-Type: text/html',
+                    `Content-Range: selector=${selectorOf(element)}`,
+                    `ETag: ${entityTag(element.outerHTML)}`,
+                    '',
+                    element.outerHTML
+                ].join('\r\n')).join('\r\n') + `\r\n--${boundary}--\r\n`;
+                return respond(200, { 'Content-Type': `multipart/mixed; boundary=${boundary}` }, method === 'GET' ? body : null);
+            }
+            const body = elements.map(element => element.outerHTML).join('\n');
+            return respond(200, { 'Content-Type': 'text/html' }, method === 'GET' ? body : null);
+        }
+
+        case 'PUT': {
+            if (preconditionFails(headers, elements)) {
+                return respond(412);
+            }
+            const changes = [];
+            let replacement = null;
+            for (const element of elements) {
+                replacement = parseFragment(doc, request.body).firstElementChild;
+                if (!replacement) {
+                    return respond(400, { 'Content-Type': 'text/plain' }, 'PUT requires an element');
+                }
+                const elementSelector = selectorOf(element);
+                element.replaceWith(replacement);
+                changes.push({ method: 'PUT', selector: elementSelector, content: replacement.outerHTML });
+            }
+            return { ...htmlResponse(200, replacement), changes, changed: true };
+        }
+
+        case 'POST': {
+            const result = respond(201, { 'Content-Type': 'text/html' }, '');
+            for (const element of elements) {
+                const fragment = parseFragment(doc, request.body);
+                const html = Array.from(fragment.childNodes)
+                    .map(node => node.nodeType === 1 ? node.outerHTML : escapeHTML(node.textContent))
+                    .join('');
+                element.appendChild(fragment);
+                result.body = html;
+                result.changes.push({ method: 'POST', selector: selectorOf(element), content: html });
+            }
+            result.changed = true;
+            return result;
+        }
+
+        case 'PATCH': {
+            if (!(headers['content-type'] || '').includes(DELTA_CONTENT_TYPE)) {
+                return respond(415, { 'Accept-Patch': DELTA_CONTENT_TYPE });
+            }
+            if (preconditionFails(headers, elements)) {
+                return respond(412);
+            }
+            let deltas;
+            try {
+                deltas = JSON.parse(request.body);
+                elements.forEach(element => applyDeltas(element, deltas));
+            } catch (error) {
+                return respond(422, { 'Content-Type': 'text/plain' }, error.message);
+            }
+            // Subscribers are sent the patched element, as they don't apply deltas themselves
+            const changes = elements.map(element => ({ method: 'PUT', selector: selectorOf(element), content: element.outerHTML }));
+            return { ...htmlResponse(200, elements[0]), changes, changed: true };
+        }
+
+        case 'DELETE': {
+            if (preconditionFails(headers, elements)) {
+                return respond(412);
+            }
+            // Later elements first, so that nth-child selectors of the earlier ones still hold
+            const changes = elements.map(element => ({ method: 'DELETE', selector: selectorOf(element) })).reverse();
+            elements.forEach(element => element.remove());
+            return { ...respond(204), changes, changed: true };
+        }
+
+        default:
+            return respond(405, { 'Allow': DEFAULT_METHODS.join(', ') });
+    }
+}
+
+// All operations apply, or none: a failed transaction isn't saved
+function applyTransaction(doc, request, policy) {
+    let operations;
+    try {
+        operations = JSON.parse(request.body).operations;
+    } catch (error) {
+        return respond(400, { 'Content-Type': 'text/plain' }, 'Invalid transaction');
+    }
+
+    const results = [];
+    const changes = [];
+    let committed = true;
+    for (const operation of operations) {
+        const headers = Object.fromEntries(
+            Object.entries(operation.headers || {}).map(([name, value]) => [name.toLowerCase(), value])
+        );
+        headers.range = operation.range || `selector=${operation.selector}`;
+        if (operation.contentType) {
+            headers['content-type'] = operation.contentType;
+        }
+        const result = applyRequest(doc, { method: operation.method, url: request.url, headers, body: operation.body }, policy);
+        results.push({ status: result.status, headers: result.headers, body: result.body });
+        changes.push(...result.changes);
+        if (result.status < 200 || result.status >= 300) {
+            committed = false;
+            break;
+        }
+    }
+
+    return {
+        status: 200,
+        headers: { 'Content-Type': TRANSACTION_CONTENT_TYPE },
+        body: JSON.stringify({ committed, results }),
+        changes: committed ? changes : [],
+        changed: committed
+    };
+}
+
+/**
+ * Parses an HTML document, applies a request to it and serializes it again
+ * @param {Function} DOMParser - The host's DOMParser
+ * @param {string} html - The stored document
+ * @param {Object} request - See applyRequest()
+ * @param {Object} policy - See allowedMethods()
+ * @returns {Object} { html, result } where html is the document to store
+ */
+export function applyToHTML(DOMParser, html, request, policy = {}) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const result = applyRequest(doc, request, policy);
+    if (result.document !== undefined) {
+        return { html: result.document, result };
+    }
+    return { html: result.changed ? serializeDocument(doc) : html, result };
+}
+
+// A change is { method, selector, content, requestId }, { resync: true } or { permissions: true, selectors, href }
+export function streamItem(change, sequence) {
+    if (change.resync) {
+        return `<div itemscope itemtype="${STREAM_RESYNC_TYPE}"><span itemprop="sequence">${sequence}</span></div>`;
+    }
+    if (change.permissions) {
+        const properties = [
+            ...(change.selectors || []).map(selector => ['selector', selector]),
+            ['href', change.href],
+            ['sequence', sequence]
+        ].filter(([, value]) => value !== null && value !== undefined)
+            .map(([name, value]) => `<span itemprop="${name}">${escapeHTML(value)}</span>`);
+        return `<div itemscope itemtype="${PERMISSION_CHANGE_TYPE}">${properties.join('')}</div>`;
+    }
+    const properties = [
+        ['method', change.method],
+        ['selector', change.selector],
+        ['sequence', sequence],
+        ['request-id', change.requestId]
+    ].filter(([, value]) => value !== null && value !== undefined)
+        .map(([name, value]) => `<span itemprop="${name}">${escapeHTML(value)}</span>`);
+    if (change.content !== undefined) {
+        properties.push(`<template itemprop="content">${change.content}</template>`);
+    }
+    return `<div itemscope itemtype="${STREAM_ITEM_TYPE}">${properties.join('')}</div>`;
+}
+
+/*
+    Emulator
+    Keeps the StreamItem history and the subscribers, and answers fetch
+    Requests. The host provides:
+    - load(path, url): the stored HTML of a document, or null when it isn't one we emulate
+    - save(path, html): stores a changed document
+    - apply(html, request, context): applyToHTML(), or a stand-in for it (see service-worker.mjs)
+    Documents are told apart by path; sequences are shared by all of them.
+*/
+export class Emulator {
+    constructor({ load, save = async () => {}, apply, historySize = 1000 }) {
+        this.load = load;
+        this.save = save;
+        this.apply = apply;
+        this.historySize = historySize;
+        this.sequence = 0;
+        this.history = []; // { path, sequence, html }
+        this.subscribers = new Set(); // { path, send(html) }
+    }
+
+    /**
+     * Answers a request
+     * @param {Request} request - The request
+     * @param {Object} context - Passed on to apply()
+     * @returns {Promise<Response|null>} The response, or null for anything but an emulated document
+     */
+    async handle(request, context = {}) {
+        const url = new URL(request.url);
+        url.hash = '';
+        const path = url.pathname;
+        const method = request.method.toUpperCase();
+        const accept = request.headers.get('Accept') || '';
+        const since = url.searchParams.has('since') ? Number(url.searchParams.get('since')) : null;
+
+        if (method === 'GET' && accept.includes('text/event-stream')) {
+            return this.eventStream(path, since);
+        }
+        if (method === 'GET' && accept.includes(STREAM_CONTENT_TYPE)) {
+            return this.poll(path, since, request.headers.get('If-None-Match'));
+        }
+
+        const html = await this.load(path, url.href);
+        if (html === null || html === undefined) {
+            return null;
+        }
+
+        // Whole documents are served as stored
+        if ((method === 'GET' || method === 'HEAD') && !request.headers.has('Range')) {
+            return new Response(method === 'GET' ? html : null, {
+                headers: { 'Content-Type': 'text/html', 'ETag': entityTag(html), 'Accept-Ranges': 'selector' }
+            });
+        }
+
+        const plain = {
+            method,
+            url: url.href,
+            headers: Object.fromEntries(request.headers),
+            body: ['GET', 'HEAD', 'OPTIONS'].includes(method) ? null : await request.text()
+        };
+        const { html: updated, result } = await this.apply(html, plain, context);
+        if (updated !== html) {
+            await this.save(path, updated);
+        }
+        result.changes.forEach(change => this.publish(path, change));
+
+        return new Response(NULL_BODY_STATUSES.includes(result.status) ? null : result.body, {
+            status: result.status,
+            headers: result.headers
+        });
+    }
+
+    publish(path, change) {
+        const sequence = ++this.sequence;
+        const html = streamItem(change, sequence);
+        this.history.push({ path, sequence, html });
+        this.history.splice(0, this.history.length - this.historySize);
+        for (const subscriber of this.subscribers) {
+            if (subscriber.path === path) {
+                subscriber.send(html);
+            }
+        }
+    }
+
+    /*
+        The StreamItems after a sequence, or a resync when some of them have
+        been forgotten. A sequence we haven't reached was given out before the
+        emulator started over (a Service Worker is stopped when idle, and
+        keeps neither), so whatever happened since is unknown too.
+    */
+    itemsSince(path, since) {
+        if (since === null || since === this.sequence) {
+            return [];
+        }
+        const oldest = this.history[0]?.sequence ?? this.sequence + 1;
+        if (since > this.sequence || since + 1 < oldest) {
+            return [streamItem({ resync: true }, this.sequence)];
+        }
+        return this.history
+            .filter(item => item.path === path && item.sequence > since)
+            .map(item => item.html);
+    }
+
+    subscribe(path, send) {
+        const subscriber = { path, send };
+        this.subscribers.add(subscriber);
+        return () => this.subscribers.delete(subscriber);
+    }
+
+    eventStream(path, since) {
+        const encoder = new TextEncoder();
+        let unsubscribe = null;
+        const body = new ReadableStream({
+            start: (controller) => {
+                const send = (html) => {
+                    const data = html.split('\n').map(line => `data: ${line}`).join('\n');
+                    controller.enqueue(encoder.encode(`${data}\n\n`));
+                };
+                this.itemsSince(path, since).forEach(send);
+                unsubscribe = this.subscribe(path, send);
+            },
+            cancel: () => unsubscribe?.()
+        });
+        return new Response(body, {
+            headers: { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store' }
+        });
+    }
+
+    // The ETag of a poll is the last sequence it has seen
+    poll(path, since, ifNoneMatch) {
+        const seen = ifNoneMatch ? Number(ifNoneMatch.replace(/\D/g, '')) : since;
+        const items = seen === null ? [] : this.itemsSince(path, seen);
+        const headers = { 'ETag': `"${this.sequence}"`, 'Cache-Control': 'no-store' };
+        if (ifNoneMatch && !items.length) {
+            return new Response(null, { status: 304, headers });
+        }
+        return new Response(items.join('\n'), {
+            headers: { ...headers, 'Content-Type': STREAM_CONTENT_TYPE }
+        });
+    }
+}
@@ -0,0 +1,136 @@
+/**
+ * DOM-Aware Server Emulator: Node
+ *
+ * The same emulator, keeping its documents in memory. Node has no
+ * DOMParser, so pass in one, from jsdom or linkedom for instance.
+ *
+ *   import { JSDOM } from 'jsdom';
+ *   import { createNodeEmulator } from './das-emulator/node.mjs';
+ *
+ *   const server = createNodeEmulator({
+ *       DOMParser: new JSDOM().window.DOMParser,
+ *       documents: { '/index.html': '<!DOCTYPE html><html><body><ul id="list"></ul></body></html>' },
+ *       policy: { rules: [{ selector: 'header', allow: ['GET', 'HEAD'] }] }
+ *   });
+ *   globalThis.fetch = server.fetch;   // in tests
+ *   server.listen(8080);               // or for a browser
+ */
+
+import { Emulator, applyToHTML } from './core.mjs';
+
+const CONTENT_TYPES = {
+    '.html': 'text/html',
+    '.mjs': 'text/javascript',
+    '.js': 'text/javascript',
+    '.css': 'text/css',
+    '.json': 'application/json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png'
+};
+
+/**
+ * Creates an in-memory emulator
+ * @param {Object} options
+ * @param {Function} options.DOMParser - The DOMParser to apply requests with
+ * @param {Object} options.documents - The stored HTML by path, changed as requests are made
+ * @param {Object} options.policy - The methods allowed: { allow: [methods], rules: [{ selector, allow }] }
+ * @param {string} options.root - A directory of HTML documents to start from, and other files for listen() to serve
+ * @param {string} options.baseURL - What relative URLs given to fetch() resolve against
+ * @returns {Object} { emulator, documents, policy, fetch(input, init), listen(port) }
+ */
+export function createNodeEmulator({ DOMParser, documents = {}, policy = {}, root = null, baseURL = 'http://localhost/' }) {
+    // Documents not given start out as the HTML file of the same path under root
+    async function load(pathname) {
+        if (pathname in documents) {
+            return documents[pathname];
+        }
+        if (!root || !pathname.endsWith('.html')) {
+            return null;
+        }
+        const fs = await import('node:fs/promises');
+        const path = await import('node:path');
+        try {
+            documents[pathname] = await fs.readFile(path.resolve(root, `.${path.posix.normalize(decodeURIComponent(pathname))}`), 'utf8');
+        } catch (error) {
+            return null;
+        }
+        return documents[pathname];
+    }
+
+    const emulator = new Emulator({
+        load,
+        save: async (path, html) => { documents[path] = html; },
+        apply: async (html, request) => applyToHTML(DOMParser, html, request, policy)
+    });
+
+    async function emulatorFetch(input, init) {
+        const request = input instanceof Request ? new Request(input, init) : new Request(new URL(String(input), baseURL), init);
+        const response = await emulator.handle(request);
+        return response || new Response('Not Found', { status: 404, headers: { 'Content-Type': 'text/plain' } });
+    }
+
+    async function listen(port = 8080) {
+        const http = await import('node:http');
+        const fs = await import('node:fs/promises');
+        const path = await import('node:path');
+
+        async function serveFile(pathname, response) {
+            if (!root) return false;
+            const file = path.resolve(root, `.${path.posix.normalize(decodeURIComponent(pathname))}`);
+            if (!file.startsWith(path.resolve(root))) return false;
+            try {
+                const body = await fs.readFile(file);
+                response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+                response.end(body);
+                return true;
+            } catch (error) {
+                return false;
+            }
+        }
+
+        const server = http.createServer(async (incoming, outgoing) => {
+            const url = new URL(incoming.url, `http://${incoming.headers.host || `localhost:${port}`}`);
+            const chunks = [];
+            for await (const chunk of incoming) chunks.push(chunk);
+            const request = new Request(url, {
+                method: incoming.method,
+                headers: Object.entries(incoming.headers).filter(([, value]) => typeof value === 'string'),
+                body: ['GET', 'HEAD'].includes(incoming.method) ? undefined : Buffer.concat(chunks)
+            });
+
+            try {
+                const response = await emulator.handle(request);
+                if (!response) {
+                    if (!(await serveFile(url.pathname, outgoing))) {
+                        outgoing.writeHead(404, { 'Content-Type': 'text/plain' });
+                        outgoing.end('Not Found');
+                    }
+                    return;
+                }
+                outgoing.writeHead(response.status, Object.fromEntries(response.headers));
+                if (!response.body) {
+                    outgoing.end();
+                    return;
+                }
+                // Event streams stay open until the browser goes away
+                outgoing.flushHeaders();
+                const reader = response.body.getReader();
+                outgoing.on('close', () => reader.cancel());
+                for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+                    outgoing.write(chunk.value);
+                }
+                outgoing.end();
+            } catch (error) {
+                console.error('das-emulator: Failed to handle request:', incoming.method, incoming.url, error);
+                if (!outgoing.headersSent) {
+                    outgoing.writeHead(500, { 'Content-Type': 'text/plain' });
+                }
+                outgoing.end();
+            }
+        });
+        await new Promise(resolve => server.listen(port, resolve));
+        return server;
+    }
+
+    return { emulator, documents, policy, fetch: emulatorFetch, listen };
+}
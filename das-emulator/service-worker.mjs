@@ -0,0 +1,128 @@
+/**
+ * DOM-Aware Server Emulator: Service Worker
+ *
+ * Answers DOM-aware requests from the pages it controls. Documents are
+ * fetched from the network the first time they are asked for, and every
+ * change after that is kept in the Cache API, so pages can be developed and
+ * tested without a DOM-aware server.
+ *
+ * Service Workers have no DOMParser, so the DOM work is handed to the page
+ * that made the request (see client.mjs), which sends the changed document
+ * back.
+ *
+ * Register it as a module worker, from the root of the site so that it
+ * controls every page:
+ *
+ *   // /sw.js
+ *   import '/das-emulator/service-worker.mjs';
+ */
+
+import { Emulator } from './core.mjs';
+
+const CACHE_NAME = 'das-emulator';
+const APPLY_TIMEOUT = 10000;
+
+async function load(path, url) {
+    const cache = await caches.open(CACHE_NAME);
+    const stored = await cache.match(path);
+    if (stored) {
+        return stored.text();
+    }
+
+    // Start from the document the network has
+    let response;
+    try {
+        response = await fetch(url, { headers: { 'Accept': 'text/html' } });
+    } catch (error) {
+        return null;
+    }
+    if (!response.ok || !response.headers.get('Content-Type')?.includes('text/html')) {
+        return null;
+    }
+    const html = await response.text();
+    await save(path, html);
+    return html;
+}
+
+async function save(path, html) {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.put(path, new Response(html, { headers: { 'Content-Type': 'text/html' } }));
+}
+
+async function clientFor(clientId) {
+    const client = clientId && await self.clients.get(clientId);
+    if (client) {
+        return client;
+    }
+    const [any] = await self.clients.matchAll({ type: 'window' });
+    return any || null;
+}
+
+// Has a page apply the request, and waits for the changed document
+async function apply(html, request, { clientId } = {}) {
+    const client = await clientFor(clientId);
+    if (!client) {
+        throw new Error('No page to apply the request in');
+    }
+    const channel = new MessageChannel();
+    return new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => {
+            channel.port1.close();
+            reject(new Error('Timed out waiting for a page to apply the request'));
+        }, APPLY_TIMEOUT);
+        channel.port1.onmessage = ({ data }) => {
+            clearTimeout(timeout);
+            channel.port1.close();
+            if (data.error) {
+                reject(new Error(data.error));
+            } else {
+                resolve({ html: data.html, result: data.result });
+            }
+        };
+        client.postMessage({ type: 'das-emulator:apply', html, request }, [channel.port2]);
+    });
+}
+
+const emulator = new Emulator({ load, save, apply });
+
+// Plain page loads, scripts and images go to the network as usual
+function isEmulated(request) {
+    if (new URL(request.url).origin !== self.location.origin) {
+        return false;
+    }
+    const accept = request.headers.get('Accept') || '';
+    return !['GET', 'HEAD'].includes(request.method) ||
+        request.headers.has('Range') ||
+        accept.includes('text/event-stream') ||
+        accept.includes('application/das-stream+html') ||
+        request.mode === 'navigate';
+}
+
+async function respond(event) {
+    try {
+        const response = await emulator.handle(event.request, { clientId: event.clientId || event.resultingClientId });
+        return response || fetch(event.request);
+    } catch (error) {
+        console.error('das-emulator: Failed to handle request:', event.request.method, event.request.url, error);
+        return new Response(error.message, { status: 503, headers: { 'Content-Type': 'text/plain' } });
+    }
+}
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('fetch', (event) => {
+    if (isEmulated(event.request)) {
+        event.respondWith(respond(event));
+    }
+});
+
+// Forgets every change, so documents start over from the network
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'das-emulator:reset') {
+        event.waitUntil(caches.delete(CACHE_NAME).then(() => {
+            emulator.history = [];
+            event.ports[0]?.postMessage({ reset: true });
+        }));
+    }
+});
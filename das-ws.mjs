@@ -1,15 +1,37 @@
-// DOM-Aware WebSocket streaming extension
+// DOM-Aware streaming extension (WebSocket, Server-Sent Events or polling)
 // Requires dom-aware-primitives to be loaded first
 
+import { applyDeltas } from './dom-delta/index.mjs';
+
 // Debug flag - set window.DAS_WS_DEBUG = true to enable console logging
 const DEBUG = window.DAS_WS_DEBUG || false;
 
-// Wait for DAS availability before extending
-document.addEventListener("DASAvailable", () => {
+// Transport for the automatic page subscription - 'websocket', 'sse', 'poll' or 'auto'
+const AUTO_SUBSCRIBE_TRANSPORT = window.DAS_WS_TRANSPORT || 'auto';
+
+// Extend the document once DAS is available (see the end of this module)
+function initialize() {
     
-    // Track local changes to prevent re-application from WebSocket
-    const localChanges = new Map(); // selector -> { timestamp, method, content }
+    /*
+        Track our own requests to avoid re-applying their echoes. Every mutation
+        carries a request id (announced by a DASRequest event) which a server
+        that supports it copies into the StreamItem. Until we have seen such a
+        server echo an id we fall back to guessing: a recent local change with
+        the same selector and method.
+    */
+    const localRequests = new Map(); // requestId -> timestamp
+    const REQUEST_TIMEOUT = 60000; // echoes can trail behind a slow stream
+    const localChanges = new Map(); // selector -> { timestamp, method }
     const CHANGE_TIMEOUT = 5000; // 5 seconds to consider a change "local"
+    let serverEchoesRequestIds = false;
+    
+    document.addEventListener('DASRequest', (event) => {
+        const { requestId, method, selector } = event.detail;
+        const timestamp = Date.now();
+        localRequests.set(requestId, timestamp);
+        localChanges.set(selector, { timestamp, method });
+        if (DEBUG) console.log('Tracking local change:', { requestId, selector, method });
+    });
     
     // Clean up old local changes periodically
     setInterval(() => {
@@ -19,11 +41,39 @@ document.addEventListener("DASAvailable", () => {
                 localChanges.delete(selector);
             }
         }
+        for (const [requestId, timestamp] of localRequests.entries()) {
+            if (now - timestamp > REQUEST_TIMEOUT) {
+                localRequests.delete(requestId);
+            }
+        }
     }, CHANGE_TIMEOUT);
     
+    function isLocalEcho(update) {
+        if (update.requestId) {
+            serverEchoesRequestIds = true;
+            // One request (DELETEAll, say) can be echoed as several StreamItems
+            return localRequests.has(update.requestId);
+        }
+        if (serverEchoesRequestIds) return false;
+        
+        const localChange = localChanges.get(update.selector);
+        return Boolean(localChange &&
+            localChange.method === update.method?.toUpperCase() &&
+            Date.now() - localChange.timestamp < CHANGE_TIMEOUT);
+    }
+    
+    // The stream lives at the page URL; "since" asks the server to replay what came after that sequence
+    function getStreamUrl(since = null) {
+        const url = new URL(window.location.href);
+        if (since !== null) {
+            url.searchParams.set('since', since);
+        }
+        return url;
+    }
+    
     // Convert current URL to WebSocket URL
-    function getWebSocketUrl() {
-        const wsUrl = new URL(window.location.href);
+    function getWebSocketUrl(since = null) {
+        const wsUrl = getStreamUrl(since);
         wsUrl.protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
         
         // For DOM-aware servers, we keep the full path including .html files
@@ -33,32 +83,153 @@ document.addEventListener("DASAvailable", () => {
         return wsUrl.toString();
     }
     
-    // Parse microdata from StreamItem
+    // Adds the page's credentials (see window.server.auth); WebSockets and EventSource can only send cookies
+    function authorized(url, init) {
+        return window.server.auth?.prepare(String(url), init) ?? init;
+    }
+    
+    // Whether a property belongs to this item rather than to an item nested in it. The item
+    // element bounds it whether or not it has itemscope, as servers may send just itemtype
+    function inItem(element, itemElement) {
+        for (let node = element.parentElement; node && node !== itemElement; node = node.parentElement) {
+            if (node.hasAttribute('itemscope')) return false;
+        }
+        return true;
+    }
+    
+    // Find a property of this item, skipping any microdata inside its content
+    function itemProperty(itemElement, name) {
+        return Array.from(itemElement.querySelectorAll(`[itemprop="${name}"]`)).find(element =>
+            inItem(element, itemElement) &&
+            !element.parentElement.closest('[itemprop="content"]')
+        ) || null;
+    }
+    
+    /*
+        Parse microdata from StreamItem
+        
+        method       PUT, POST, DELETE, PREPEND, INSERT-BEFORE, INSERT-AFTER,
+                     SET-ATTRIBUTE, REMOVE-ATTRIBUTE, SET-TEXT, MOVE or PATCH
+        selector     the element the update applies to
+        content      HTML for PUT, POST, PREPEND and INSERT-*, the new text for
+                     SET-TEXT, DOM deltas (JSON) for PATCH. It may be sent in a
+                     <template> so that content such as table rows survives parsing.
+        name, value  the attribute for SET-ATTRIBUTE and REMOVE-ATTRIBUTE
+        destination  the selector MOVE moves the element relative to
+        position     where MOVE puts it: append (default), prepend, before or after
+    */
     function parseStreamItem(itemElement) {
         try {
-            const method = itemElement.querySelector('[itemprop="method"]')?.textContent;
-            const url = itemElement.querySelector('[itemprop="url"]')?.textContent;
-            const selector = itemElement.querySelector('[itemprop="selector"]')?.textContent;
-            const contentElement = itemElement.querySelector('[itemprop="content"]');
+            const method = itemProperty(itemElement, 'method')?.textContent;
+            const url = itemProperty(itemElement, 'url')?.textContent;
+            const selector = itemProperty(itemElement, 'selector')?.textContent;
+            const contentElement = itemProperty(itemElement, 'content');
             const content = contentElement?.innerHTML;
+            const text = (contentElement?.content || contentElement)?.textContent;
+            const name = itemProperty(itemElement, 'name')?.textContent.trim();
+            const value = itemProperty(itemElement, 'value')?.textContent;
+            const destination = itemProperty(itemElement, 'destination')?.textContent.trim();
+            const position = itemProperty(itemElement, 'position')?.textContent.trim().toLowerCase();
+            const sequence = parseSequence(itemElement);
+            const requestId = itemProperty(itemElement, 'request-id')?.textContent.trim() || null;
             
-            return { method, url, selector, content };
+            return { method, url, selector, content, text, name, value, destination, position, sequence, requestId };
         } catch (error) {
             console.error('DOM-aware WebSocket: Failed to parse StreamItem:', error);
             return null;
         }
     }
     
+    function parseSequence(itemElement) {
+        const value = itemProperty(itemElement, 'sequence')?.textContent.trim();
+        return value ? Number(value) : null;
+    }
+    
+    /*
+        A StreamResync item tells us the server can't replay everything we
+        missed. It lists the selectors of the affected regions (none means the
+        whole document) and the sequence to carry on from.
+    */
+    function parseResyncItem(itemElement) {
+        return { selectors: parseSelectors(itemElement), sequence: parseSequence(itemElement) };
+    }
+    
+    function parseSelectors(itemElement) {
+        return Array.from(itemElement.querySelectorAll('[itemprop="selector"]'))
+            .filter(element => inItem(element, itemElement))
+            .map(element => element.textContent.trim())
+            .filter(Boolean);
+    }
+    
+    /*
+        A PermissionChange item tells us what the user may do has changed: on
+        the elements its selectors match, in the document at its href (this
+        page when it has none). With an href and no selectors, anywhere in that
+        document; with neither, anywhere at all. index.mjs drops what it knows
+        about them, and <http-can> checks again.
+    */
+    function parsePermissionChangeItem(itemElement) {
+        const href = itemProperty(itemElement, 'href')?.textContent.trim() || null;
+        return { selectors: parseSelectors(itemElement), href, sequence: parseSequence(itemElement) };
+    }
+    
+    async function resyncRegions(selectors) {
+        const regions = selectors.length ? selectors : ['body'];
+        if (DEBUG) console.log('Resynchronising regions:', regions);
+        
+        for (const selector of regions) {
+            try {
+                const target = document.querySelector(selector);
+                if (!target) continue;
+                
+                const response = await fetch(window.location.href, await authorized(window.location.href, {
+                    headers: { 'Range': `selector=${selector}` },
+                    cache: 'no-store'
+                }));
+                if (!response.ok) {
+                    console.error('DOM-aware WebSocket: Resync request failed:', selector, response.status);
+                    continue;
+                }
+                const html = await response.text();
+                
+                if (target === document.body) {
+                    // Keep the body element itself, along with its listeners
+                    const parsed = new DOMParser().parseFromString(html, 'text/html');
+                    document.body.replaceChildren(...Array.from(parsed.body.childNodes).map(node => document.adoptNode(node)));
+                } else {
+                    const template = document.createElement('template');
+                    template.innerHTML = html.trim();
+                    const newElement = template.content.firstElementChild;
+                    if (newElement) {
+                        target.replaceWith(newElement);
+                    }
+                }
+            } catch (error) {
+                console.error('DOM-aware WebSocket: Failed to resync region:', selector, error);
+            }
+        }
+        
+        const evt = new CustomEvent("DASStreamResync", {
+            bubbles: true,
+            detail: { selectors: regions }
+        });
+        document.dispatchEvent(evt);
+    }
+    
+    // Parse StreamItem content into nodes
+    function parseContent(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html.trim();
+        return template.content;
+    }
+    
     // Apply update to DOM based on method
     function applyUpdate(update) {
         try {
             if (!update || !update.selector) return false;
             
-            // Check if this change was made locally recently
-            const localChange = localChanges.get(update.selector);
-            if (localChange && 
-                localChange.method === update.method?.toUpperCase() &&
-                Date.now() - localChange.timestamp < CHANGE_TIMEOUT) {
+            // Check if this change was made locally
+            if (isLocalEcho(update)) {
                 if (DEBUG) console.log('Ignoring local change echoed from WebSocket:', update.selector);
                 return false;
             }
@@ -80,10 +251,7 @@ document.addEventListener("DASAvailable", () => {
                 case 'PUT':
                     if (update.content) {
                         try {
-                            // Create a temporary container to parse the content
-                            const temp = document.createElement('div');
-                            temp.innerHTML = update.content;
-                            const newElement = temp.firstElementChild;
+                            const newElement = parseContent(update.content).firstElementChild;
                             if (newElement && target.parentNode) {
                                 target.parentNode.replaceChild(newElement, target);
                                 return { action: 'replaced', element: newElement };
@@ -97,13 +265,8 @@ document.addEventListener("DASAvailable", () => {
                 case 'POST':
                     if (update.content) {
                         try {
-                            // Parse content into DOM nodes
-                            const temp = document.createElement('div');
-                            temp.innerHTML = update.content;
-                            // Append all child nodes
-                            while (temp.firstChild) {
-                                target.appendChild(temp.firstChild);
-                            }
+                            // Parse content into DOM nodes and append them all
+                            target.appendChild(parseContent(update.content));
                             return { action: 'appended', element: target };
                         } catch (error) {
                             console.error('DOM-aware WebSocket: Failed to apply POST update:', error);
@@ -119,6 +282,71 @@ document.addEventListener("DASAvailable", () => {
                         console.error('DOM-aware WebSocket: Failed to apply DELETE update:', error);
                     }
                     break;
+                    
+                case 'PREPEND':
+                    if (update.content) {
+                        target.prepend(parseContent(update.content));
+                        return { action: 'prepended', element: target };
+                    }
+                    break;
+                    
+                case 'INSERT-BEFORE':
+                case 'INSERT-AFTER':
+                    if (update.content && target.parentNode) {
+                        const content = parseContent(update.content);
+                        const inserted = content.firstElementChild;
+                        if (update.method.toUpperCase() === 'INSERT-BEFORE') {
+                            target.before(content);
+                            return { action: 'inserted-before', element: inserted, reference: target };
+                        }
+                        target.after(content);
+                        return { action: 'inserted-after', element: inserted, reference: target };
+                    }
+                    break;
+                    
+                case 'SET-ATTRIBUTE':
+                    if (update.name) {
+                        target.setAttribute(update.name, update.value ?? '');
+                        return { action: 'attribute-set', element: target, name: update.name, value: update.value ?? '' };
+                    }
+                    break;
+                    
+                case 'REMOVE-ATTRIBUTE':
+                    if (update.name) {
+                        target.removeAttribute(update.name);
+                        return { action: 'attribute-removed', element: target, name: update.name };
+                    }
+                    break;
+                    
+                case 'SET-TEXT':
+                    target.textContent = update.text ?? '';
+                    return { action: 'text-set', element: target };
+                    
+                case 'MOVE': {
+                    const destination = update.destination && document.querySelector(update.destination);
+                    if (!destination) {
+                        if (DEBUG) console.log('DOM-aware WebSocket: Move destination not found:', update.destination);
+                        break;
+                    }
+                    switch (update.position || 'append') {
+                        case 'prepend': destination.prepend(target); break;
+                        case 'before': destination.before(target); break;
+                        case 'after': destination.after(target); break;
+                        default: destination.append(target);
+                    }
+                    return { action: 'moved', element: target, destination, position: update.position || 'append' };
+                }
+                    
+                case 'PATCH':
+                    if (update.text) {
+                        try {
+                            applyDeltas(target, JSON.parse(update.text));
+                            return { action: 'patched', element: target };
+                        } catch (error) {
+                            console.error('DOM-aware WebSocket: Failed to apply PATCH update:', error);
+                        }
+                    }
+                    break;
             }
             
             return false;
@@ -128,189 +356,597 @@ document.addEventListener("DASAvailable", () => {
         }
     }
     
-    // Main subscription method on Document
-    Object.defineProperty(Document.prototype, "SUBSCRIBE", {
-        configurable: true,
-        value: function(options = {}) {
-            const { 
-                onUpdate = null,
-                onError = null,
-                onConnect = null,
-                onDisconnect = null,
-                reconnect = true,
-                reconnectDelay = 1000,
-                maxReconnectDelay = 30000
-            } = options;
+    /*
+        Process a message carrying one or more StreamItems for a subscription.
+        The stream state remembers the last sequence applied, so that a
+        reconnect can ask for what was missed and replayed items aren't
+        applied twice. Items are applied as they arrive, except that those
+        after a resync, in its message or later ones, wait for it to finish.
+    */
+    function handleStreamMessage(html, stream) {
+        // Parse the streamed HTML
+        const parser = new DOMParser();
+        const fragment = parser.parseFromString(html, 'text/html');
+        
+        // Find all StreamItem updates, resync requests and permission changes, in order
+        const streamItems = fragment.querySelectorAll(
+            '[itemtype="http://rustybeam.net/StreamItem"], [itemtype="http://rustybeam.net/StreamResync"], ' +
+            '[itemtype="http://rustybeam.net/PermissionChange"]'
+        );
+        
+        return applyStreamItems(Array.from(streamItems), stream);
+    }
+    
+    // Returns a promise when a resync has to finish before the rest can be applied
+    function applyStreamItems(streamItems, stream) {
+        for (const [index, itemElement] of streamItems.entries()) {
+            if (itemElement.getAttribute('itemtype') === 'http://rustybeam.net/PermissionChange') {
+                const change = parsePermissionChangeItem(itemElement);
+                if (change.sequence !== null) {
+                    if (stream.lastSequence !== null && change.sequence <= stream.lastSequence) {
+                        if (DEBUG) console.log('Ignoring PermissionChange already applied:', change.sequence);
+                        continue;
+                    }
+                    stream.lastSequence = change.sequence;
+                }
+                if (DEBUG) console.log('Permissions changed:', change);
+                document.dispatchEvent(new CustomEvent("DASStreamPermissionChange", {
+                    bubbles: true,
+                    detail: change
+                }));
+                continue;
+            }
             
-            let ws = null;
-            let reconnectTimeout = null;
-            let currentReconnectDelay = reconnectDelay;
-            let isIntentionallyClosed = false;
+            if (itemElement.getAttribute('itemtype') === 'http://rustybeam.net/StreamResync') {
+                const resync = parseResyncItem(itemElement);
+                if (resync.sequence !== null) {
+                    stream.lastSequence = resync.sequence;
+                }
+                // What follows may be about the regions resynchronised
+                return resyncRegions(resync.selectors)
+                    .then(() => applyStreamItems(streamItems.slice(index + 1), stream));
+            }
             
-            function connect() {
-                try {
-                    ws = new WebSocket(getWebSocketUrl());
+            const update = parseStreamItem(itemElement);
+            if (update) {  // parseStreamItem might return null on error
+                if (update.sequence !== null) {
+                    if (stream.lastSequence !== null && update.sequence <= stream.lastSequence) {
+                        if (DEBUG) console.log('Ignoring StreamItem already applied:', update.sequence);
+                        continue;
+                    }
+                    stream.lastSequence = update.sequence;
+                }
+                
+                const affected = affectedNodes(update);
+                const result = applyUpdate(update);
+                
+                if (result) {
+                    // Dispatch custom event for successful update
+                    const evt = new CustomEvent("DASStreamUpdate", {
+                        bubbles: true,
+                        detail: { update, result, affected }
+                    });
+                    document.dispatchEvent(evt);
                     
-                    ws.onopen = () => {
-                        if (DEBUG) console.log('DAS WebSocket connected');
+                    stream.onUpdate?.(update, result, affected);
+                }
+            }
+        }
+        return null;
+    }
+    
+    /*
+        Transports
+        Each transport delivers the same StreamItem microdata. It is created
+        with { onOpen, onMessage(html), onError(error), onClose() } handlers,
+        calls onClose once when it stops for any reason, and returns
+        { connection, readyState, close(), send(data) }. readyState uses the
+        WebSocket constants whatever the transport.
+    */
+    const CONNECTING = 0;
+    const OPEN = 1;
+    const CLOSED = 3;
+    
+    // MIME type a DOM-aware server answers polls with: the StreamItems since the ETag in If-None-Match
+    const STREAM_CONTENT_TYPE = 'application/das-stream+html';
+    
+    function createWebSocketTransport(handlers, { since = null } = {}) {
+        const ws = new WebSocket(getWebSocketUrl(since));
+        ws.onopen = () => handlers.onOpen();
+        ws.onmessage = (event) => handlers.onMessage(event.data);
+        ws.onerror = (error) => handlers.onError(error);
+        ws.onclose = () => handlers.onClose();
+        
+        return {
+            connection: ws,
+            get readyState() {
+                return ws.readyState;
+            },
+            close() {
+                ws.close();
+            },
+            send(data) {
+                if (ws.readyState !== WebSocket.OPEN) {
+                    throw new Error('WebSocket is not connected');
+                }
+                ws.send(data);
+            }
+        };
+    }
+    
+    function createEventSourceTransport(handlers, { since = null } = {}) {
+        // EventSource asks for text/event-stream, so the server can tell it apart at the same URL
+        const source = new EventSource(getStreamUrl(since));
+        let closed = false;
+        
+        function stop() {
+            if (!closed) {
+                closed = true;
+                source.close();
+                handlers.onClose();
+            }
+        }
+        
+        source.onopen = () => handlers.onOpen();
+        source.onmessage = (event) => handlers.onMessage(event.data);
+        source.onerror = (error) => {
+            // Leave reconnecting to the subscription, so every transport backs off the same way
+            handlers.onError(error);
+            stop();
+        };
+        
+        return {
+            connection: source,
+            get readyState() {
+                return closed ? CLOSED : source.readyState;
+            },
+            close: stop,
+            send() {
+                throw new Error('The sse transport cannot send data');
+            }
+        };
+    }
+    
+    function createPollingTransport(handlers, { pollInterval = 5000, since = null } = {}) {
+        let readyState = CONNECTING;
+        let entityTag = null;
+        let timeout = null;
+        
+        function stop() {
+            if (readyState !== CLOSED) {
+                readyState = CLOSED;
+                clearTimeout(timeout);
+                handlers.onClose();
+            }
+        }
+        
+        async function poll() {
+            try {
+                const headers = new Headers();
+                headers.set('Accept', STREAM_CONTENT_TYPE);
+                if (entityTag) {
+                    headers.set('If-None-Match', entityTag);
+                }
+                const url = getStreamUrl(since);
+                const response = await fetch(url, await authorized(url, { headers, cache: 'no-store' }));
+                if (readyState === CLOSED) return;
+                
+                if (!response.ok && response.status !== 304) {
+                    throw new Error(`Stream poll failed with status ${response.status}`);
+                }
+                // A server that ignores the Accept header sends the whole page instead
+                if (response.status === 200 && !response.headers.get('Content-Type')?.includes(STREAM_CONTENT_TYPE)) {
+                    throw new Error('Server does not support stream polling');
+                }
+                if (readyState === CONNECTING) {
+                    readyState = OPEN;
+                    handlers.onOpen();
+                }
+                entityTag = response.headers.get('ETag') || entityTag;
+                // Only the first poll needs to catch up; the ETag takes it from there
+                since = null;
+                if (response.status === 200) {
+                    handlers.onMessage(await response.text());
+                }
+                timeout = setTimeout(poll, pollInterval);
+            } catch (error) {
+                if (readyState === CLOSED) return;
+                handlers.onError(error);
+                stop();
+            }
+        }
+        
+        poll();
+        
+        return {
+            connection: null,
+            get readyState() {
+                return readyState;
+            },
+            close: stop,
+            send() {
+                throw new Error('The poll transport cannot send data');
+            }
+        };
+    }
+    
+    const TRANSPORTS = {
+        websocket: createWebSocketTransport,
+        sse: createEventSourceTransport,
+        poll: createPollingTransport
+    };
+    
+    // The order 'auto' tries transports in, moving on when one fails before it opens
+    const AUTO_TRANSPORTS = ['websocket', 'sse', 'poll'];
+    
+    /*
+        Subscription hub
+        Every subscription to an endpoint shares one connection, so an update
+        is only applied to the document once however many subscribers there
+        are. The connection is opened with the options of the first
+        subscriber, and closed when the last one unsubscribes. The automatic
+        page subscription steps aside for the first one made by the page, so
+        that its options are the ones used; later options that differ from
+        them are ignored with a warning.
+    */
+    const hubs = new Map(); // endpoint -> hub
+    
+    // Options that configure the shared connection rather than a subscriber
+    const HUB_OPTIONS = ['transport', 'reconnect', 'reconnectDelay', 'maxReconnectDelay', 'pollInterval'];
+    
+    let autoSubscription = null;
+    
+    function getEndpoint() {
+        const url = getStreamUrl();
+        url.hash = '';
+        return url.href;
+    }
+    
+    /*
+        The nodes an update touches, each with its ancestors. They are looked
+        up before the update is applied, as a replaced or deleted node is
+        detached afterwards.
+    */
+    function affectedNodes(update) {
+        const selectors = [update.selector];
+        if (update.method?.toUpperCase() === 'MOVE') {
+            selectors.push(update.destination);
+        }
+        return selectors.filter(Boolean).map(selector => {
+            try {
+                return document.querySelector(selector);
+            } catch {
+                return null;
+            }
+        }).filter(Boolean).map(node => {
+            const ancestors = [];
+            for (let current = node; current; current = current.parentElement) {
+                ancestors.push(current);
+            }
+            return ancestors;
+        });
+    }
+    
+    function openHub(endpoint, options) {
+        const { 
+            reconnect = true,
+            reconnectDelay = 1000,
+            maxReconnectDelay = 30000,
+            transport = 'websocket',
+            pollInterval = 5000
+        } = options;
+        
+        let current = null;
+        let reconnectTimeout = null;
+        let currentReconnectDelay = reconnectDelay;
+        let isIntentionallyClosed = false;
+        const subscribers = new Set();
+        // resyncing: settles once a resync and the messages queued behind it are done
+        const stream = { onUpdate: route, lastSequence: null, resyncing: null };
+        // Callbacks from transports that have since been replaced are ignored
+        let generation = 0;
+        
+        // With 'auto', the transport that worked is kept for reconnects
+        let candidates = transport === 'auto' ? AUTO_TRANSPORTS : [transport];
+        
+        function notify(callback, ...args) {
+            for (const subscriber of [...subscribers]) {
+                subscriber[callback]?.(...args);
+            }
+        }
+        
+        // Element subscribers only hear about updates to themselves or their descendants
+        function route(update, result, affected) {
+            for (const subscriber of [...subscribers]) {
+                const { element } = subscriber;
+                if (element) {
+                    if (!affected.some(ancestors => ancestors.includes(element))) continue;
+                    // Keep following an element the update replaced
+                    if (result.action === 'replaced' && affected[0][0] === element) {
+                        subscriber.element = result.element;
+                    }
+                }
+                subscriber.onUpdate?.(update, result);
+            }
+        }
+        
+        function scheduleReconnect() {
+            if (reconnect && !isIntentionallyClosed) {
+                reconnectTimeout = setTimeout(() => {
+                    if (DEBUG) console.log(`Attempting to reconnect in ${currentReconnectDelay}ms...`);
+                    connect();
+                    // Exponential backoff
+                    currentReconnectDelay = Math.min(currentReconnectDelay * 2, maxReconnectDelay);
+                }, currentReconnectDelay);
+            }
+        }
+        
+        function connect(attempt = 0) {
+            const name = candidates[attempt];
+            const id = ++generation;
+            let opened = false;
+            
+            try {
+                current = TRANSPORTS[name]({
+                    onOpen() {
+                        if (id !== generation) return;
+                        opened = true;
+                        candidates = [name];
+                        if (DEBUG) console.log(`DAS stream connected (${name})`);
                         currentReconnectDelay = reconnectDelay; // Reset delay on successful connection
                         
                         // Dispatch custom event
                         const evt = new CustomEvent("DASWebSocketConnected", { 
                             bubbles: true, 
-                            detail: { websocket: ws }
+                            detail: { websocket: name === 'websocket' ? current.connection : null, transport: name }
                         });
                         document.dispatchEvent(evt);
                         
-                        onConnect?.(ws);
-                    };
+                        notify('onConnect', current.connection);
+                    },
                     
-                    ws.onmessage = (event) => {
-                        try {
-                            // Parse the streamed HTML
-                            const parser = new DOMParser();
-                            const fragment = parser.parseFromString(event.data, 'text/html');
-                            
-                            // Find all StreamItem updates
-                            const streamItems = fragment.querySelectorAll('[itemtype="http://rustybeam.net/StreamItem"]');
-                            
-                            streamItems.forEach(itemElement => {
-                                const update = parseStreamItem(itemElement);
-                                if (update) {  // parseStreamItem might return null on error
-                                    const result = applyUpdate(update);
-                                    
-                                    if (result) {
-                                        // Dispatch custom event for successful update
-                                        const evt = new CustomEvent("DASStreamUpdate", {
-                                            bubbles: true,
-                                            detail: { update, result }
-                                        });
-                                        document.dispatchEvent(evt);
-                                        
-                                        onUpdate?.(update, result);
-                                    }
-                                }
+                    onMessage(html) {
+                        if (id !== generation) return;
+                        const report = (error) => {
+                            console.error('Error processing stream message:', error);
+                            notify('onError', error);
+                        };
+                        const handle = () => {
+                            try {
+                                return handleStreamMessage(html, stream)?.catch(report) ?? null;
+                            } catch (error) {
+                                report(error);
+                                return null;
+                            }
+                        };
+                        const pending = stream.resyncing ? stream.resyncing.then(handle) : handle();
+                        if (pending) {
+                            stream.resyncing = pending;
+                            pending.then(() => {
+                                if (stream.resyncing === pending) stream.resyncing = null;
                             });
-                        } catch (error) {
-                            console.error('Error processing WebSocket message:', error);
-                            onError?.(error);
                         }
-                    };
+                    },
                     
-                    ws.onerror = (error) => {
-                        console.error('DAS WebSocket error:', error);
-                        onError?.(error);
-                    };
+                    onError(error) {
+                        // A transport that never opened is expected to fail under 'auto'
+                        if (opened || attempt === candidates.length - 1) {
+                            console.error(`DAS stream error (${name}):`, error);
+                        }
+                        notify('onError', error);
+                    },
                     
-                    ws.onclose = () => {
-                        if (DEBUG) console.log('DAS WebSocket disconnected');
+                    onClose() {
+                        if (id !== generation) return;
+                        if (!opened) {
+                            if (!isIntentionallyClosed && attempt + 1 < candidates.length) {
+                                if (DEBUG) console.log(`DAS stream transport ${name} unavailable, trying ${candidates[attempt + 1]}`);
+                                connect(attempt + 1);
+                                return;
+                            }
+                            scheduleReconnect();
+                            return;
+                        }
+                        
+                        if (DEBUG) console.log(`DAS stream disconnected (${name})`);
                         
                         // Dispatch custom event
                         const evt = new CustomEvent("DASWebSocketDisconnected", { 
-                            bubbles: true 
+                            bubbles: true,
+                            detail: { transport: name }
                         });
                         document.dispatchEvent(evt);
                         
-                        onDisconnect?.();
+                        notify('onDisconnect');
                         
                         // Attempt to reconnect if not intentionally closed
-                        if (reconnect && !isIntentionallyClosed) {
-                            reconnectTimeout = setTimeout(() => {
-                                if (DEBUG) console.log(`Attempting to reconnect in ${currentReconnectDelay}ms...`);
-                                connect();
-                                // Exponential backoff
-                                currentReconnectDelay = Math.min(currentReconnectDelay * 2, maxReconnectDelay);
-                            }, currentReconnectDelay);
-                        }
-                    };
-                    
-                } catch (error) {
-                    console.error('Failed to create WebSocket:', error);
-                    console.error('Attempted URL:', getWebSocketUrl());
-                    onError?.(error);
+                        scheduleReconnect();
+                    }
+                }, { pollInterval, since: stream.lastSequence });
+                
+            } catch (error) {
+                console.error(`Failed to create ${name} transport:`, error);
+                if (name === 'websocket') {
+                    console.error('Attempted URL:', getWebSocketUrl(stream.lastSequence));
+                }
+                notify('onError', error);
+                if (attempt + 1 < candidates.length) {
+                    connect(attempt + 1);
                 }
             }
+        }
+        
+        function close() {
+            isIntentionallyClosed = true;
+            if (reconnectTimeout) {
+                clearTimeout(reconnectTimeout);
+            }
+            current?.close();
+        }
+        
+        // Start connection
+        connect();
+        
+        return {
+            subscribers,
+            options: { transport, reconnect, reconnectDelay, maxReconnectDelay, pollInterval },
             
-            // Start connection
-            connect();
+            get readyState() {
+                return current?.readyState;
+            },
             
-            // Return control object
-            return {
-                get readyState() {
-                    return ws?.readyState;
-                },
-                
-                close() {
-                    isIntentionallyClosed = true;
-                    if (reconnectTimeout) {
-                        clearTimeout(reconnectTimeout);
-                    }
-                    ws?.close();
-                },
-                
-                reconnect() {
-                    isIntentionallyClosed = false;
-                    this.close();
-                    connect();
-                },
-                
-                send(data) {
-                    if (ws?.readyState === WebSocket.OPEN) {
-                        ws.send(data);
-                    } else {
-                        throw new Error('WebSocket is not connected');
-                    }
+            get connection() {
+                return current?.connection;
+            },
+            
+            get transport() {
+                return candidates.length === 1 ? candidates[0] : null;
+            },
+            
+            add(subscriber) {
+                subscribers.add(subscriber);
+            },
+            
+            remove(subscriber) {
+                subscribers.delete(subscriber);
+                if (subscribers.size === 0) {
+                    if (DEBUG) console.log('Last subscriber left, closing DAS stream:', endpoint);
+                    hubs.delete(endpoint);
+                    close();
+                }
+            },
+            
+            reconnect() {
+                close();
+                generation++;
+                isIntentionallyClosed = false;
+                connect();
+            },
+            
+            send(data) {
+                if (!current) {
+                    throw new Error('WebSocket is not connected');
+                }
+                current.send(data);
+            }
+        };
+    }
+    
+    /*
+        Adds a subscriber ({ element, onUpdate, onError, onConnect,
+        onDisconnect }) to the hub for this page, opening it if needed, and
+        returns its handle. close() is kept as an alias of unsubscribe().
+    */
+    function subscribe(subscriber, options) {
+        const endpoint = getEndpoint();
+        let hub = hubs.get(endpoint);
+        const conflicting = hub
+            ? HUB_OPTIONS.filter(name => options[name] !== undefined && !hubHasOption(hub, name, options[name]))
+            : [];
+        if (conflicting.length && hub.subscribers.size === 1 && hub.subscribers.has(autoSubscription?.subscriber)) {
+            // Only the automatic subscription uses the connection, so it can be opened again the page's way
+            endAutoSubscription();
+            hub = hubs.get(endpoint);
+        } else if (conflicting.length) {
+            console.warn(`DOM-aware WebSocket: The stream for ${endpoint} is already open with other options; ` +
+                `ignoring ${conflicting.join(', ')}`);
+        }
+        if (!hub) {
+            if (options.transport && options.transport !== 'auto' && !TRANSPORTS[options.transport]) {
+                throw new Error(`Unknown transport: ${options.transport}`);
+            }
+            hub = openHub(endpoint, options);
+            hubs.set(endpoint, hub);
+        } else if (hub.readyState === OPEN) {
+            // Joining an open connection still reports it as connected
+            queueMicrotask(() => {
+                if (hub.subscribers.has(subscriber)) {
+                    subscriber.onConnect?.(hub.connection);
+                }
+            });
+        }
+        hub.add(subscriber);
+        if (subscriber !== autoSubscription?.subscriber) {
+            // The page is subscribing itself, and decides from now on when the connection ends
+            endAutoSubscription();
+        }
+        
+        let subscribed = true;
+        const unsubscribe = () => {
+            if (subscribed) {
+                subscribed = false;
+                hub.remove(subscriber);
+            }
+        };
+        
+        return {
+            get element() {
+                return subscriber.element;
+            },
+            
+            get readyState() {
+                return subscribed ? hub.readyState : CLOSED;
+            },
+            
+            get transport() {
+                return hub.transport;
+            },
+            
+            get subscribed() {
+                return subscribed;
+            },
+            
+            unsubscribe,
+            close: unsubscribe,
+            
+            // Reconnects the shared connection, for every subscriber
+            reconnect() {
+                if (!subscribed) {
+                    throw new Error('Subscription has been closed');
                 }
-            };
+                hub.reconnect();
+            },
+            
+            send(data) {
+                hub.send(data);
+            }
+        };
+    }
+    
+    // 'auto' is satisfied by whichever transport the hub uses, and a transport by 'auto' having chosen it
+    function hubHasOption(hub, name, value) {
+        if (name === 'transport') {
+            return value === 'auto' || value === hub.options.transport || value === hub.transport;
+        }
+        return value === hub.options[name];
+    }
+    
+    function endAutoSubscription() {
+        autoSubscription?.handle.unsubscribe();
+        autoSubscription = null;
+    }
+    
+    function subscriberFrom(options, element = null) {
+        const { onUpdate = null, onError = null, onConnect = null, onDisconnect = null } = options;
+        return { element, onUpdate, onError, onConnect, onDisconnect };
+    }
+    
+    // Main subscription method on Document
+    Object.defineProperty(Document.prototype, "SUBSCRIBE", {
+        configurable: true,
+        value: function(options = {}) {
+            return subscribe(subscriberFrom(options), options);
         }
     });
     
-    // Also add SUBSCRIBE to HTMLElement for element-specific subscriptions
+    // Element subscriptions hear about updates to the element or anything inside it
     Object.defineProperty(HTMLElement.prototype, "SUBSCRIBE", {
         configurable: true,
         value: function(options = {}) {
-            // Subscribe to document but filter for this element's selector
-            const elementSelector = this.selector;
-            const originalOnUpdate = options.onUpdate;
-            
-            return document.SUBSCRIBE({
-                ...options,
-                onUpdate: (update, result) => {
-                    // Only call the callback if this update affects our element
-                    if (update.selector === elementSelector) {
-                        originalOnUpdate?.(update, result);
-                    }
-                }
-            });
+            return subscribe(subscriberFrom(options, this), options);
         }
     });
     
-    // Wrap the HTTP methods to track operations BEFORE they execute
-    const originalMethods = {};
-    
-    // Wait a tick to ensure DAS methods are defined
-    setTimeout(() => {
-        ['POST', 'PUT', 'DELETE'].forEach(method => {
-            originalMethods[method] = HTMLElement.prototype[method];
-            Object.defineProperty(HTMLElement.prototype, method, {
-                configurable: true,
-                value: async function(...args) {
-                    // Track this operation immediately
-                    const selector = this.selector;
-                    localChanges.set(selector, {
-                        timestamp: Date.now(),
-                        method: method,
-                        content: args[0] || null
-                    });
-                    if (DEBUG) console.log('Pre-tracking local change:', { selector, method });
-                    
-                    // Call the original method
-                    return originalMethods[method].apply(this, args);
-                }
-            });
-        });
-    }, 0);
-    
     // Dispatch event to signal WebSocket extension is ready
     const evt = new CustomEvent("DASWebSocketAvailable", { 
         bubbles: true, 
@@ -318,9 +954,9 @@ document.addEventListener("DASAvailable", () => {
     });
     document.dispatchEvent(evt);
     
-    // Automatically subscribe to the current page
+    // Automatically subscribe to the current page, until the page subscribes itself
     try {
-        document.SUBSCRIBE({
+        const subscriber = subscriberFrom({
             onUpdate: (update, result) => {
                 if (DEBUG) console.log('Auto-subscription update:', update, result);
             },
@@ -334,13 +970,24 @@ document.addEventListener("DASAvailable", () => {
                 if (DEBUG) console.log('Auto-subscription disconnected');
             }
         });
+        autoSubscription = {
+            subscriber,
+            handle: subscribe(subscriber, { transport: AUTO_SUBSCRIBE_TRANSPORT })
+        };
     } catch (error) {
         if (DEBUG) console.error('Failed to auto-subscribe:', error);
     }
-});
+}
+
+// index.mjs may already have found the server DOM-aware, when this is imported after it
+if (window.location.server?.DASAware) {
+    initialize();
+} else {
+    document.addEventListener("DASAvailable", initialize, { once: true });
+}
 
 // If DAS is not available, provide stub implementations
-document.addEventListener("DASUnavailable", () => {
+function unavailable() {
     const notAvailable = function() {
         console.warn('DAS WebSocket not available - server is not DOM-aware');
         return null;
@@ -355,4 +1002,11 @@ document.addEventListener("DASUnavailable", () => {
         configurable: true,
         value: notAvailable
     });
-});
\ No newline at end of file
+}
+
+document.addEventListener("DASUnavailable", unavailable);
+
+// ...and likewise when index.mjs has already found it isn't
+if (window.location.server?.DASAware === false) {
+    unavailable();
+}
@@ -0,0 +1,183 @@
+/**
+ * DOM Delta
+ *
+ * Describes the difference between two versions of an element as a list of
+ * small operations, so that an edit can be sent (and applied) without
+ * re-sending the element's entire outerHTML.
+ *
+ * Each delta targets a node by `path`, a list of childNodes indices starting
+ * from the element the deltas are applied to (an empty or missing path is
+ * the element itself):
+ *
+ * - { op: 'set-attribute', path, name, value }
+ * - { op: 'remove-attribute', path, name }
+ * - { op: 'replace-text', path, text }      replaces all children with text
+ * - { op: 'insert-child', path, index, html }
+ * - { op: 'remove-child', path, index }
+ *
+ * Deltas are applied in order, so indices refer to the tree as left by the
+ * previous delta.
+ */
+
+export const DELTA_CONTENT_TYPE = 'application/dom-delta+json';
+
+function serializeNode(node) {
+    if (node.nodeType === 1) {
+        return node.outerHTML;
+    }
+    if (node.nodeType === 8) {
+        return `<!--${node.data}-->`;
+    }
+    // Escape text through the DOM so it round-trips through the HTML parser
+    const container = node.ownerDocument.createElement('div');
+    container.appendChild(node.cloneNode());
+    return container.innerHTML;
+}
+
+function hasNonTextChildren(node) {
+    return Array.from(node.childNodes).some(child => child.nodeType !== 3);
+}
+
+function diffAttributes(oldElement, newElement, path, deltas) {
+    for (const { name, value } of Array.from(newElement.attributes)) {
+        if (oldElement.getAttribute(name) !== value) {
+            deltas.push({ op: 'set-attribute', path, name, value });
+        }
+    }
+    for (const { name } of Array.from(oldElement.attributes)) {
+        if (!newElement.hasAttribute(name)) {
+            deltas.push({ op: 'remove-attribute', path, name });
+        }
+    }
+}
+
+function diffChildren(oldElement, newElement, path, deltas) {
+    // Text-only content is replaced in one go
+    if (!hasNonTextChildren(oldElement) && !hasNonTextChildren(newElement)) {
+        if (oldElement.textContent !== newElement.textContent) {
+            deltas.push({ op: 'replace-text', path, text: newElement.textContent });
+        }
+        return;
+    }
+
+    const oldChildren = Array.from(oldElement.childNodes);
+    const newChildren = Array.from(newElement.childNodes);
+
+    // Skip the unchanged children at both ends
+    let start = 0;
+    while (
+        start < oldChildren.length &&
+        start < newChildren.length &&
+        oldChildren[start].isEqualNode(newChildren[start])
+    ) {
+        start++;
+    }
+    let oldEnd = oldChildren.length;
+    let newEnd = newChildren.length;
+    while (
+        oldEnd > start &&
+        newEnd > start &&
+        oldChildren[oldEnd - 1].isEqualNode(newChildren[newEnd - 1])
+    ) {
+        oldEnd--;
+        newEnd--;
+    }
+
+    // Children at the same position are diffed in place when they are the same kind of element
+    const paired = Math.min(oldEnd - start, newEnd - start);
+    for (let i = start; i < start + paired; i++) {
+        const oldChild = oldChildren[i];
+        const newChild = newChildren[i];
+        if (
+            oldChild.nodeType === 1 &&
+            newChild.nodeType === 1 &&
+            oldChild.localName === newChild.localName
+        ) {
+            diffNode(oldChild, newChild, [...path, i], deltas);
+        } else if (!oldChild.isEqualNode(newChild)) {
+            deltas.push({ op: 'remove-child', path, index: i });
+            deltas.push({ op: 'insert-child', path, index: i, html: serializeNode(newChild) });
+        }
+    }
+
+    // Then drop the surplus old children, and add the surplus new ones
+    for (let i = start + paired; i < oldEnd; i++) {
+        deltas.push({ op: 'remove-child', path, index: start + paired });
+    }
+    for (let i = start + paired; i < newEnd; i++) {
+        deltas.push({ op: 'insert-child', path, index: i, html: serializeNode(newChildren[i]) });
+    }
+}
+
+function diffNode(oldElement, newElement, path, deltas) {
+    diffAttributes(oldElement, newElement, path, deltas);
+    diffChildren(oldElement, newElement, path, deltas);
+}
+
+/**
+ * Computes the deltas that turn one element into another
+ * @param {Element} oldElement - The current version of the element
+ * @param {Element} newElement - The desired version of the element
+ * @returns {Array<Object>} The deltas, empty when the elements are equal
+ */
+export function diffElements(oldElement, newElement) {
+    if (oldElement.localName !== newElement.localName) {
+        throw new Error(`DOM delta: cannot change <${oldElement.localName}> into <${newElement.localName}>`);
+    }
+    const deltas = [];
+    diffNode(oldElement, newElement, [], deltas);
+    return deltas;
+}
+
+function resolvePath(element, path = []) {
+    let node = element;
+    for (const index of path) {
+        node = node.childNodes[index];
+        if (!node) {
+            throw new Error(`DOM delta: no node at path ${JSON.stringify(path)}`);
+        }
+    }
+    return node;
+}
+
+/**
+ * Applies deltas to an element in place
+ * @param {Element} element - The element the delta paths start from
+ * @param {Array<Object>} deltas - The deltas to apply, in order
+ * @returns {Element} The element
+ */
+export function applyDeltas(element, deltas) {
+    for (const delta of deltas) {
+        const node = resolvePath(element, delta.path);
+        switch (delta.op) {
+            case 'set-attribute':
+                node.setAttribute(delta.name, delta.value);
+                break;
+            case 'remove-attribute':
+                node.removeAttribute(delta.name);
+                break;
+            case 'replace-text':
+                node.textContent = delta.text;
+                break;
+            case 'insert-child': {
+                const template = node.ownerDocument.createElement('template');
+                template.innerHTML = delta.html;
+                node.insertBefore(template.content, node.childNodes[delta.index] || null);
+                break;
+            }
+            case 'remove-child': {
+                const child = node.childNodes[delta.index];
+                if (!child) {
+                    throw new Error(`DOM delta: no child at index ${delta.index}`);
+                }
+                child.remove();
+                break;
+            }
+            default:
+                throw new Error(`DOM delta: unknown operation "${delta.op}"`);
+        }
+    }
+    return element;
+}
+
+export default diffElements;
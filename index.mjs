@@ -1,6 +1,10 @@
 import { parseAndResolve } from './selector-request/index.mjs';
+import { diffElements, applyDeltas, DELTA_CONTENT_TYPE } from './dom-delta/index.mjs';
+import { parseMultipart } from './multipart/index.mjs';
+import { parsePermissionExpression, normalizeQuery, queryChecks, evaluateQuery, parseTarget } from './permission-expression/index.mjs';
 
-window.location.server = { DASAware: false };
+// DASAware stays undefined until probeServer() has answered
+window.location.server = { DASAware: undefined };
 
 // Initialize window.server if it doesn't exist
 if (!window.server) {
@@ -14,40 +18,43 @@ window.server.can = async function(methods, target, options = {}) {
     // can("GET", "http://example.com/path")
     // can("GET", "#(selector=p)")
     // can("GET", "http://example.com/path#(selector=p)")
+    // can("GET", "#(xpath=//p[1])")
     // can(["GET", "POST"], "/path", { ttl: 60 })
+    // can(["PUT", "PATCH"], "#(selector=p)", { require: "any" })
+    // can("PUT|PATCH", "#(selector=p)")
+    // can("DELETE on closest(tr) and POST on #list", "/todo", { element })
+    // can({ any: [{ methods: ["PUT"], on: "#a" }, { not: { methods: ["DELETE"], on: "#b" } }] })
     
     if (!target) {
         target = window.location.href; // Default to current page if no target provided
     }
 
-    // Parse using the selector-request module
-    const parsed = parseAndResolve(target);
-    const { selector, href } = parsed;
-    
-    if (window.PERMISSION_DEBUG) {
-        console.log('window.server.can: Parsed target', {
-            target,
-            parsed,
-            selector,
-            href
-        });
-    }
-    
     // Extract options
-    const cacheTTL = options.ttl || options.cacheTTL;
+    const cacheTTL = options.ttl ?? options.cacheTTL;
     
     try {
-        const allowedMethods = await PermissionChecker.checkPermissions(methods, {
-            selector,
-            href,
-            cacheTTL
-        });
+        // Parse using the selector-request module
+        const parsed = parseAndResolve(target);
+        const { selector, xpath, href } = parsed;
+        
+        if (window.PERMISSION_DEBUG) {
+            console.log('window.server.can: Parsed target', {
+                target,
+                parsed,
+                selector,
+                href
+            });
+        }
         
-        // Check if all requested methods are allowed
-        const methodsArray = Array.isArray(methods) ? methods : [methods];
-        const normalizedMethods = methodsArray.map(m => m.toUpperCase());
+        // Methods, an expression, or a structured query; checks without a target are about this one
+        const query = typeof methods === 'string' || Array.isArray(methods)
+            ? parsePermissionExpression([].concat(methods).join(', '), { require: options.require })
+            : normalizeQuery(methods);
+        const range = xpath ? `xpath=${xpath}` : selector ? `selector=${selector}` : null;
+        const { allowed } = await PermissionChecker.evaluate(query, (on) =>
+            PermissionChecker.resolveTarget(on, { href, range, element: options.element }), cacheTTL);
         
-        return normalizedMethods.every(m => allowedMethods.has(m));
+        return allowed;
     } catch (error) {
         console.error('server.can() error:', error);
         return false;
@@ -83,6 +90,12 @@ function recreateResponse(html, response) {
     return newResponse;
 }
 
+// The leading three-digit code of a status ("403 Forbidden" too), or fallback when a Response can't have it
+function responseStatus(value, fallback) {
+    const status = Number(/^\s*(\d{3})(?!\d)/.exec(String(value ?? ""))?.[1]);
+    return status >= 200 && status <= 599 ? status : fallback;
+}
+
 function serializeContent(content) {
     if (typeof content === 'string') {
         return content;
@@ -100,6 +113,88 @@ function serializeContent(content) {
     }
 }
 
+// Verb options may be passed in place of the (optional) content argument
+function isOptions(value) {
+    return !!value && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/*
+    Optimistic updates change the DOM before the server has answered.
+    The original element is kept (not cloned) so that listeners and state
+    survive a rollback, and it goes back exactly where it was.
+*/
+class OptimisticChange {
+    constructor(anElement, added = [], removed = false) {
+        this.element = anElement;
+        this.added = added;
+        this.removed = removed;
+        this.parent = anElement.parentNode;
+        this.nextSibling = anElement.nextSibling;
+        this.focused = document.activeElement;
+    }
+
+    static replace(anElement, replacement) {
+        const change = new OptimisticChange(anElement, [replacement], true);
+        RemoteOrigins.transfer(anElement, replacement);
+        anElement.replaceWith(replacement);
+        return change;
+    }
+
+    static remove(anElement) {
+        const change = new OptimisticChange(anElement, [], true);
+        anElement.remove();
+        return change;
+    }
+
+    static append(anElement, html) {
+        const template = document.createElement("template");
+        template.innerHTML = html;
+        const change = new OptimisticChange(anElement, Array.from(template.content.childNodes));
+        anElement.appendChild(template.content);
+        return change;
+    }
+
+    // The node currently standing in for the element, if any
+    get current() {
+        return this.removed ? this.added[0] || null : this.element;
+    }
+
+    // Swap the optimistic nodes for the server's version of them
+    settle(serverNode) {
+        const anchor = this.added.find(node => node.parentNode);
+        if (anchor) {
+            anchor.before(serverNode);
+        } else {
+            this.element.appendChild(serverNode);
+        }
+        this.added.forEach(node => node.remove());
+    }
+
+    rollback(detail) {
+        if (this.removed) {
+            const anchor = this.added.find(node => node.parentNode);
+            if (anchor) {
+                anchor.before(this.element);
+            } else if (this.nextSibling?.parentNode === this.parent) {
+                this.parent.insertBefore(this.element, this.nextSibling);
+            } else {
+                this.parent?.appendChild(this.element);
+            }
+        }
+        this.added.forEach(node => node.remove());
+
+        if (this.focused?.isConnected && document.activeElement !== this.focused) {
+            this.focused.focus?.({ preventScroll: true });
+        }
+
+        const evt = new CustomEvent("DASRollback", {
+            bubbles: true,
+            detail: { element: this.element, ...detail },
+        });
+        this.element.dispatchEvent(evt);
+    }
+}
+
 Object.defineProperty(HTMLElement.prototype, "GET", {
     configurable: true,
     value: function() {
@@ -140,47 +235,159 @@ Object.defineProperty(HTMLElement.prototype, "DELETE", {
     value: notDOMAware,
 });
 
-Object.defineProperty(HTMLElement.prototype, "selector", {
-    enumerable: false,
-    get: function() {
-        try {
-            // If element has an ID, use it as the selector for stability
-            if (this.id) {
-                return `#${CSS.escape(this.id)}`;
-            }
+Object.defineProperty(Document.prototype, "TRANSACTION", {
+    configurable: true,
+    value: notDOMAware,
+});
 
-            // Otherwise, build a path from the nearest parent with an ID
-            let el = this;
-            let path = [];
-            let parent;
+Object.defineProperty(Document.prototype, "GETAll", {
+    configurable: true,
+    value: notDOMAware,
+});
 
-            while ((parent = el.parentNode)) {
-                // Check if parent is a valid element node
-                if (parent.nodeType !== Node.ELEMENT_NODE && parent !== document) {
-                    break;
-                }
-                
-                // If parent has an ID, we can start our selector from there
-                if (parent.id) {
-                    const index = parent.children ? [].indexOf.call(parent.children, el) + 1 : 1;
-                    path.unshift(
-                        `#${CSS.escape(parent.id)} > ${el.tagName}:nth-child(${index})`
-                    );
-                    return path.join(" > ").toLowerCase();
-                }
-
-                if ( el.tagName != 'HTML' ) {
-                    const index = parent.children ? [].indexOf.call(parent.children, el) + 1 : 1;
-                    path.unshift(
-                        `${el.tagName}:nth-child(${index})`
-                    );
-                } else {
-                    path.unshift(el.tagName);
-                }
-                el = parent;
+Object.defineProperty(Document.prototype, "DELETEAll", {
+    configurable: true,
+    value: notDOMAware,
+});
+
+/*
+    Selector generation
+    Selectors are built from attributes that survive sibling insertions (the
+    id, then the key attributes below) and only fall back to nth-child steps
+    when an element has nothing stable to identify it by.
+*/
+const SelectorStrategy = {
+    // Attributes tried, in order, after the id
+    keyAttributes: ["data-key", "itemid", "name"],
+    // Optional hook: function(element) returning a selector, or null to use the default
+    generate: null,
+};
+
+window.server.selectorStrategy = SelectorStrategy;
+
+// Elements already reported as lacking a stable selector
+const reportedUnstable = new WeakSet();
+
+// Elements a document has only one of
+const SINGLETON_ELEMENTS = ["head", "body"];
+
+function matchesOnly(anElement, selector) {
+    // Uniqueness can only be verified once the element is in a document
+    if (!anElement.isConnected) {
+        return true;
+    }
+    try {
+        const matches = anElement.ownerDocument.querySelectorAll(selector);
+        return matches.length === 1 && matches[0] === anElement;
+    } catch (error) {
+        return false;
+    }
+}
+
+function keySelectors(anElement) {
+    const candidates = [];
+    if (anElement.id) {
+        candidates.push(`#${CSS.escape(anElement.id)}`);
+    }
+    for (const name of SelectorStrategy.keyAttributes) {
+        const value = anElement.getAttribute(name);
+        if (value) {
+            candidates.push(`${anElement.localName}[${CSS.escape(name)}="${CSS.escape(value)}"]`);
+        }
+    }
+    return candidates;
+}
+
+function generateSelector(anElement) {
+    if (SelectorStrategy.generate) {
+        const custom = SelectorStrategy.generate(anElement);
+        if (custom && matchesOnly(anElement, custom)) {
+            return { selector: custom, stable: true };
+        }
+    }
+
+    let el = anElement;
+    let path = [];
+    let stable = true;
+    let parent;
+
+    while ((parent = el.parentNode)) {
+        // Check if parent is a valid element node
+        if (parent.nodeType !== Node.ELEMENT_NODE && parent !== document) {
+            break;
+        }
+
+        if (el.localName === 'html') {
+            path.unshift('html');
+            break;
+        }
+
+        const candidates = keySelectors(el);
+
+        // A key that is unique in the document anchors the selector
+        const anchor = candidates.find(candidate => matchesOnly(el, candidate));
+        if (anchor) {
+            path.unshift(anchor);
+            break;
+        }
+
+        // Otherwise a key unique among its siblings is still stable; the tag name
+        // only stays unique until a sibling of the same kind is added, unless
+        // there can only be one
+        const siblings = Array.from(parent.children);
+        candidates.push(el.localName);
+        const step = candidates.find(candidate => siblings.filter(sibling => sibling.matches(candidate)).length === 1);
+        if (step) {
+            path.unshift(step);
+            if (step === el.localName && !SINGLETON_ELEMENTS.includes(step)) {
+                stable = false;
             }
+        } else {
+            const index = siblings.indexOf(el) + 1;
+            path.unshift(`${el.localName}:nth-child(${index})`);
+            stable = false;
+        }
+        el = parent;
+    }
+
+    if (!path.length) {
+        // Detached element: the best we can do is describe the element itself
+        path.push(keySelectors(anElement)[0] || anElement.localName);
+    }
+
+    const selector = path.join(" > ");
+    return { selector, stable: stable && matchesOnly(anElement, selector) };
+}
+
+/*
+    A request addressing an element by a selector that the next sibling
+    inserted elsewhere could break is reported once per element, so the app
+    can give it an id or a key attribute.
+*/
+function reportUnstableSelector(anElement, range) {
+    if (reportedUnstable.has(anElement) || !range.startsWith("selector=")) {
+        return;
+    }
+    try {
+        const { selector, stable } = generateSelector(anElement);
+        if (stable || range !== `selector=${selector}`) {
+            return;
+        }
+        reportedUnstable.add(anElement);
+        anElement.dispatchEvent(new CustomEvent("DASSelectorUnstable", {
+            bubbles: true,
+            detail: { element: anElement, selector },
+        }));
+    } catch (error) {
+        console.error('DOM-aware primitives: Failed to generate selector:', error);
+    }
+}
 
-            return `${path.join(" > ")}`.toLowerCase();
+Object.defineProperty(HTMLElement.prototype, "selector", {
+    enumerable: false,
+    get: function() {
+        try {
+            return generateSelector(this).selector;
         } catch (error) {
             console.error('DOM-aware primitives: Failed to generate selector:', error);
             // Return a fallback selector
@@ -189,6 +396,137 @@ Object.defineProperty(HTMLElement.prototype, "selector", {
     },
 });
 
+/*
+    XPath generation
+    The XPath counterpart of the selector, for documents (XHTML, SVG) where
+    XPath addresses elements more precisely. A unique id anchors the path;
+    every other step is the element's name, with its position among
+    same-named siblings when it has any. Outside the HTML namespace of an
+    HTML document, elements are matched by local-name() so that the path
+    doesn't depend on namespace prefixes.
+*/
+const HTML_NAMESPACE = "http://www.w3.org/1999/xhtml";
+
+function xpathLiteral(value) {
+    if (!value.includes('"')) {
+        return `"${value}"`;
+    }
+    if (!value.includes("'")) {
+        return `'${value}'`;
+    }
+    return `concat("${value.split('"').join(`", '"', "`)}")`;
+}
+
+function xpathName(anElement) {
+    if (anElement.ownerDocument.contentType === "text/html" && anElement.namespaceURI === HTML_NAMESPACE) {
+        return anElement.localName;
+    }
+    return `*[local-name(.)=${xpathLiteral(anElement.localName)}]`;
+}
+
+function generateXPath(anElement) {
+    if (!anElement.isConnected) {
+        return `//${xpathName(anElement)}`;
+    }
+
+    const steps = [];
+    for (let el = anElement; el.nodeType === Node.ELEMENT_NODE; el = el.parentNode) {
+        if (el.id && matchesOnly(el, `#${CSS.escape(el.id)}`)) {
+            return `//*[@id=${xpathLiteral(el.id)}]` + steps.map(step => `/${step}`).join("");
+        }
+        const namesakes = Array.from(el.parentNode.children).filter(sibling =>
+            sibling.localName === el.localName && sibling.namespaceURI === el.namespaceURI
+        );
+        const position = namesakes.length > 1 ? `[${namesakes.indexOf(el) + 1}]` : "";
+        steps.unshift(xpathName(el) + position);
+    }
+    return steps.map(step => `/${step}`).join("");
+}
+
+function elementByXPath(xpath) {
+    const result = document.evaluate(xpath, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null);
+    return result.singleNodeValue;
+}
+
+// On Element rather than HTMLElement, so that SVG and MathML elements can be addressed too
+Object.defineProperty(Element.prototype, "xpath", {
+    enumerable: false,
+    get: function() {
+        try {
+            return generateXPath(this);
+        } catch (error) {
+            console.error('DOM-aware primitives: Failed to generate XPath:', error);
+            return `//${this.localName}`;
+        }
+    },
+});
+
+/*
+    Range units
+    The Range header addresses an element in one of the units the server
+    lists in Accept-Ranges. Each unit turns an element into a range value,
+    or null when it can't address it; requests use the first unit in the
+    preferred order that the server accepts and that can address the
+    element. Servers we know nothing about are assumed to accept selectors.
+*/
+const RangeUnits = {
+    // unit -> function(element) returning the range value, or null
+    units: new Map([
+        ["selector", anElement => anElement.selector],
+        ["xpath", anElement => anElement.xpath],
+        ["id", anElement => (anElement.id && matchesOnly(anElement, `#${CSS.escape(anElement.id)}`) ? anElement.id : null)],
+    ]),
+    // Units in the order they are tried; null picks selectors first in HTML documents, XPath first otherwise
+    preference: null,
+    // origin -> Set of units from its Accept-Ranges header
+    accepted: new Map(),
+
+    register(unit, fromElement) {
+        RangeUnits.units.set(unit.toLowerCase(), fromElement);
+    },
+
+    order() {
+        const preference = RangeUnits.preference ||
+            (document.contentType === "text/html" ? ["selector", "xpath", "id"] : ["xpath", "selector", "id"]);
+        return [...new Set([...preference, ...RangeUnits.units.keys()])];
+    },
+
+    accept(href, acceptRanges) {
+        const units = (acceptRanges || "").split(",")
+            .map(unit => unit.trim().toLowerCase())
+            .filter(unit => unit && unit !== "none");
+        RangeUnits.accepted.set(new URL(href, window.location.href).origin, new Set(units));
+    },
+
+    acceptedBy(href = window.location.href) {
+        return RangeUnits.accepted.get(new URL(href, window.location.href).origin) || new Set(["selector"]);
+    },
+
+    // Whether the server accepts any unit we can produce
+    supported(href) {
+        const accepted = RangeUnits.acceptedBy(href);
+        return Array.from(RangeUnits.units.keys()).some(unit => accepted.has(unit));
+    },
+
+    // The Range header value ("unit=value") addressing an element
+    forElement(anElement, href) {
+        const accepted = RangeUnits.acceptedBy(href);
+        for (const unit of RangeUnits.order()) {
+            const fromElement = RangeUnits.units.get(unit);
+            if (!fromElement || !accepted.has(unit)) {
+                continue;
+            }
+            const value = fromElement(anElement);
+            if (value) {
+                return `${unit}=${value}`;
+            }
+        }
+        return `selector=${anElement.selector}`;
+    },
+};
+
+window.server.rangeUnits = RangeUnits;
+
 /*
     If we are a DOM enabled web server then we can do stuff.
 */
@@ -210,83 +548,663 @@ const processResponse = (anElement, response) => {
     return response;
 };
 
-document.addEventListener("DASAvailable", () => {
-    // might as well return 'this'
-    Object.defineProperty(HTMLElement.prototype, "GET", {
-        value: async function() {
-            try {
-                const headers = new Headers();
-                headers.set("Range", `selector=${this.selector}`);
-                // Use the element's baseURI to support imported nodes
-                const url = this.baseURI || window.location.href;
-                const response = await fetch(url, {
-                    headers,
-                    method: "GET",
-                });
-                return processResponse(this, response);
-            } catch (error) {
-                console.error('DOM-aware primitives: GET request failed:', error);
-                const errorEvent = new CustomEvent("DASError", {
-                    bubbles: true,
-                    detail: { element: this, error: error, method: 'GET' },
-                });
-                this.dispatchEvent(errorEvent);
-                throw error;
+/*
+    ETags returned for an element's fragment, sent back as If-Match so that
+    concurrent edits are detected instead of silently overwritten.
+*/
+const entityTags = new WeakMap();
+
+function rememberEntityTag(anElement, response) {
+    const entityTag = response.headers.get("ETag");
+    if (entityTag) {
+        entityTags.set(anElement, entityTag);
+    }
+}
+
+// A change to an element also changes the fragments of all its ancestors
+function forgetEntityTags(aNode) {
+    for (let node = aNode; node; node = node.parentNode) {
+        entityTags.delete(node);
+    }
+}
+
+/*
+    Remote origins
+    Nodes imported from another document (see window.server.fetch) keep
+    the address they were fetched from, so that requests made on them, or
+    on their descendants, go back to that document. Descendants are
+    addressed by their position under the imported node.
+*/
+class RemoteOrigins {
+    // imported node -> { href, range }
+    static origins = new WeakMap();
+
+    static set(aNode, origin) {
+        RemoteOrigins.origins.set(aNode, origin);
+    }
+
+    // An element replaced with the server's version of it still comes from the same place
+    static transfer(from, to) {
+        if (RemoteOrigins.origins.has(from)) {
+            RemoteOrigins.origins.set(to, RemoteOrigins.origins.get(from));
+        }
+    }
+
+    static addressOf(anElement) {
+        const steps = [];
+        for (let node = anElement; node?.nodeType === Node.ELEMENT_NODE; node = node.parentNode) {
+            const origin = RemoteOrigins.origins.get(node);
+            if (origin) {
+                return { href: origin.href, range: RemoteOrigins.descend(origin.range, steps) };
             }
+            steps.unshift(Array.from(node.parentNode?.children || [node]).indexOf(node) + 1);
+        }
+        return null;
+    }
+
+    static descend(range, steps) {
+        if (!steps.length) {
+            return range;
+        }
+        const [, unit, value] = /^([\w-]+)=(.*)$/s.exec(range);
+        if (unit === "xpath") {
+            return `xpath=${value}${steps.map(index => `/*[${index}]`).join("")}`;
+        }
+        // An id range can be continued as a selector
+        const root = unit === "id" ? `#${CSS.escape(value)}` : value;
+        return `selector=${root}${steps.map(index => ` > :nth-child(${index})`).join("")}`;
+    }
+}
+
+/*
+    Requests made on behalf of an element are described as plain records so
+    that they can be stored and sent again later (see OfflineQueue).
+*/
+function describeRequest(anElement, method, body = undefined, contentType = "text/html") {
+    const headers = {};
+    const entityTag = entityTags.get(anElement);
+    if (entityTag && (method === "PUT" || method === "PATCH" || method === "DELETE")) {
+        headers["If-Match"] = entityTag;
+    }
+    const remote = RemoteOrigins.addressOf(anElement);
+    // Use the element's baseURI to support imported nodes
+    const href = remote?.href || anElement.baseURI || window.location.href;
+    const range = remote?.range || RangeUnits.forElement(anElement, href);
+    if (!remote) {
+        reportUnstableSelector(anElement, range);
+    }
+    return {
+        method,
+        selector: range.startsWith("selector=") ? range.slice(9) : anElement.selector,
+        range,
+        href,
+        body,
+        contentType: body === undefined ? null : contentType,
+        headers,
+    };
+}
+
+/*
+    Every mutation carries a request id that a DOM-aware server echoes in the
+    StreamItems it broadcasts for it, so that das-ws.mjs can tell our own
+    changes apart from everyone else's. A DASRequest event announces the id
+    before the request is sent.
+*/
+const REQUEST_ID_HEADER = "DAS-Request-Id";
+const MUTATION_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+
+function generateRequestId() {
+    // randomUUID is only available in secure contexts
+    return crypto.randomUUID?.() ||
+        `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+function announceRequest(request) {
+    const requestId = generateRequestId();
+    const evt = new CustomEvent("DASRequest", {
+        bubbles: true,
+        detail: {
+            requestId,
+            method: request.method,
+            selector: request.selector,
+            href: request.href,
         },
     });
+    document.dispatchEvent(evt);
+    return requestId;
+}
 
-    Object.defineProperty(HTMLElement.prototype, "HEAD", {
-        value: async function() {
-            try {
-                const headers = new Headers();
-                headers.set("Range", `selector=${this.selector}`);
-                // Use the element's baseURI to support imported nodes
-                const url = this.baseURI || window.location.href;
-                const response = await fetch(url, {
-                    headers,
-                    method: "HEAD",
-                });
-                return processResponse(this, response);
-            } catch (error) {
-                console.error('DOM-aware primitives: HEAD request failed:', error);
-                const errorEvent = new CustomEvent("DASError", {
-                    bubbles: true,
-                    detail: { element: this, error: error, method: 'HEAD' },
-                });
-                this.dispatchEvent(errorEvent);
-                throw error;
-            }
+// anElement, when there is one, is where DASAuthRequired is dispatched
+async function sendRangeRequest(request, anElement = null, retried = false) {
+    const mutation = MUTATION_METHODS.includes(request.method);
+    // Which permissions a change affects is worked out before it is applied here
+    const scope = mutation ? PermissionChecker.scopeOf(request) : null;
+    const headers = new Headers(request.headers);
+    if (mutation) {
+        headers.set(REQUEST_ID_HEADER, announceRequest(request));
+    }
+    // Requests queued before range units existed only have a selector
+    headers.set("Range", request.range || `selector=${request.selector}`);
+    if (request.contentType) {
+        headers.set("Content-Type", request.contentType);
+    }
+    const response = await fetch(request.href, await Auth.prepare(request.href, {
+        headers,
+        body: request.body,
+        method: request.method,
+    }));
+    if ((response.status === 401 || response.status === 403) && !retried &&
+        await Auth.required(response, request, anElement)) {
+        return sendRangeRequest(request, anElement, true);
+    }
+    if (mutation && response.ok) {
+        PermissionChecker.invalidate(request.href, scope);
+    }
+    return response;
+}
+
+/*
+    412 Precondition Failed: someone else changed the element since we last
+    saw it. Fetch the server's current fragment so the app can offer a merge
+    or an overwrite; its ETag is remembered, so a PUT issued after handling
+    the conflict is a deliberate overwrite of that version.
+*/
+async function reportConflict(anElement, method, localBody, response) {
+    let serverBody = null;
+    let serverNode = null;
+    try {
+        const current = await sendRangeRequest(describeRequest(anElement, "GET"), anElement);
+        if (current.ok) {
+            rememberEntityTag(anElement, current);
+            serverBody = await current.text();
+            serverNode = serverBody ? htmlToNode(serverBody) : null;
+        }
+    } catch (error) {
+        console.error('DOM-aware primitives: Failed to fetch conflicting content:', error);
+    }
+
+    const evt = new CustomEvent("DASConflict", {
+        bubbles: true,
+        detail: {
+            element: anElement,
+            method,
+            response,
+            localBody,
+            serverBody,
+            serverNode,
+            entityTag: entityTags.get(anElement) || null,
         },
     });
+    anElement.dispatchEvent(evt);
+}
 
-    // POST is the HTTP equivalent of appendChild
-    Object.defineProperty(HTMLElement.prototype, "POST", {
-        value: async function( postData ) {
-            try {
-                // Serialize the content to HTML string
-                const htmlContent = serializeContent(postData).trim();
-                
-                const headers = new Headers();
-                headers.set("Range", `selector=${this.selector}`);
-                headers.set("Content-Type", "text/html");
-                // Use the element's baseURI to support imported nodes
-                const url = this.baseURI || window.location.href;
-                const response = await fetch(url, {
-                    headers,
-                    body: htmlContent,
-                    method: "POST",
-                });
+// Mutations go through the offline queue when it is enabled
+async function sendMutation(anElement, request) {
+    if (OfflineQueue.enabled && OfflineQueue.pending > 0) {
+        // Keep mutations in order behind the ones still waiting to be replayed
+        return OfflineQueue.enqueue(anElement, request);
+    }
+    try {
+        return await sendRangeRequest(request, anElement);
+    } catch (error) {
+        // fetch() rejects with a TypeError when the network is unreachable
+        if (OfflineQueue.enabled && error instanceof TypeError) {
+            return OfflineQueue.enqueue(anElement, request);
+        }
+        throw error;
+    }
+}
 
-                // If successful and server returns HTML, append it
-                if (
+/*
+    Transactions
+    Operations recorded on a Transaction are sent to the server together, as
+    one JSON-described request, and the DOM is only changed once the server
+    reports that all of them were committed.
+
+    Request:  { "operations": [{ method, selector, headers, contentType, body }] }
+    Response: { "committed": boolean, "results": [{ status, headers, body }] }
+*/
+const TRANSACTION_CONTENT_TYPE = "application/das-transaction+json";
+
+class Transaction {
+    constructor() {
+        this.operations = [];
+    }
+
+    // PUT, POST, PATCH and DELETE take the same arguments as the element methods
+    PUT(anElement, optHTML) {
+        const body = optHTML ? serializeContent(optHTML).trim() : anElement.outerHTML;
+        return this.record(anElement, describeRequest(anElement, "PUT", body), { replaced: !!optHTML });
+    }
+
+    POST(anElement, postData) {
+        const body = serializeContent(postData).trim();
+        return this.record(anElement, describeRequest(anElement, "POST", body));
+    }
+
+    PATCH(anElement, changes) {
+        let deltas = changes;
+        if (!Array.isArray(changes)) {
+            anElement.normalize();
+            deltas = diffElements(anElement, htmlToNode(serializeContent(changes).trim()));
+        }
+        const request = describeRequest(anElement, "PATCH", JSON.stringify(deltas), DELTA_CONTENT_TYPE);
+        return this.record(anElement, request, { deltas });
+    }
+
+    DELETE(anElement) {
+        return this.record(anElement, describeRequest(anElement, "DELETE"));
+    }
+
+    record(anElement, request, extra = {}) {
+        const [first] = this.operations;
+        if (first && !sameDocument(first.request.href, request.href)) {
+            throw new Error('All operations in a transaction must target the same document');
+        }
+        this.operations.push({ element: anElement, request, ...extra });
+        return this;
+    }
+
+    async commit() {
+        if (!this.operations.length) {
+            return { committed: true, response: null, results: [] };
+        }
+
+        const headers = new Headers();
+        headers.set("Content-Type", TRANSACTION_CONTENT_TYPE);
+        headers.set("Accept", TRANSACTION_CONTENT_TYPE);
+        const body = JSON.stringify({
+            operations: this.operations.map(({ request }) => ({
+                method: request.method,
+                selector: request.selector,
+                range: request.range,
+                headers: { ...request.headers, [REQUEST_ID_HEADER]: announceRequest(request) },
+                contentType: request.contentType,
+                body: request.body ?? null,
+            })),
+        });
+
+        const scopes = this.operations.map(({ request }) => PermissionChecker.scopeOf(request));
+
+        const href = this.operations[0].request.href;
+        const send = async () => fetch(href, await Auth.prepare(href, { method: "POST", headers, body }));
+        let response;
+        try {
+            response = await send();
+            // Sent once more after logging in, as sendRangeRequest does
+            if ((response.status === 401 || response.status === 403) &&
+                await Auth.required(response, { method: "POST", href }, this.operations[0].element)) {
+                response = await send();
+            }
+        } catch (error) {
+            console.error('DOM-aware primitives: TRANSACTION request failed:', error);
+            for (const { element, request } of this.operations) {
+                element.dispatchEvent(new CustomEvent("DASError", {
+                    bubbles: true,
+                    detail: { element, error, method: request.method },
+                }));
+            }
+            throw error;
+        }
+
+        let outcome = { committed: false, results: [] };
+        if (response.headers.get("Content-Type")?.includes(TRANSACTION_CONTENT_TYPE)) {
+            try {
+                outcome = await response.json();
+            } catch (error) {
+                console.error('DOM-aware primitives: Failed to parse TRANSACTION response:', error);
+            }
+        }
+        const committed = response.ok && outcome.committed === true;
+        if (committed) {
+            const scope = scopes.includes(null) ? null : scopes.flat();
+            PermissionChecker.invalidate(href, scope);
+        }
+
+        const results = [];
+        for (const [index, operation] of this.operations.entries()) {
+            let operationResponse;
+            try {
+                operationResponse = await this.settle(operation,
+                    Transaction.operationResponse(outcome.results?.[index], response, committed), committed);
+            } catch (error) {
+                // A result we can't make sense of fails its own operation, and leaves its element as it was
+                console.error('DOM-aware primitives: Malformed TRANSACTION result:', error);
+                operationResponse = processResponse(operation.element, new Response(null, { status: 502 }));
+            }
+            results.push({
+                element: operation.element,
+                method: operation.request.method,
+                response: operationResponse,
+            });
+        }
+        return { committed, response, results };
+    }
+
+    // Each operation gets a Response of its own, so listeners see the usual event detail
+    static operationResponse(result, response, committed) {
+        // A status the server got wrong is a bad answer from it
+        let status = result?.status == null
+            ? (committed || !response.ok ? response.status : 424)
+            : responseStatus(result.status, 502);
+        if (!committed && status < 300) {
+            // Nothing was applied, whatever the operation on its own would have done
+            status = 424;
+        }
+        const nullBody = [204, 205, 304].includes(status);
+        return new Response(nullBody ? null : result?.body ?? null, {
+            status,
+            headers: result?.headers || {},
+        });
+    }
+
+    async settle(operation, response, committed) {
+        const { element, request } = operation;
+        if (!committed) {
+            if (response.status === 412) {
+                await reportConflict(element, request.method, request.body ?? null, response);
+            }
+            return processResponse(element, response);
+        }
+
+        const contentType = response.headers.get("Content-Type") || "";
+        const responseBody = await response.clone().text();
+        // What the server sent is parsed before anything is changed, so that a bad body changes nothing
+        const serverNode = contentType.includes("text/html") && responseBody ? htmlToNode(responseBody) : null;
+        if (serverNode) {
+            rememberEntityTag(serverNode, response);
+        }
+
+        try {
+            switch (request.method) {
+                case "PUT": {
+                    forgetEntityTags(element);
+                    if (!serverNode && !operation.replaced) {
+                        // The element already is what was sent
+                        rememberEntityTag(element, response);
+                        break;
+                    }
+                    const newNode = serverNode || htmlToNode(request.body);
+                    RemoteOrigins.transfer(element, newNode);
+                    element.replaceWith(newNode);
+                    return processResponse(newNode, response);
+                }
+                case "POST":
+                    forgetEntityTags(element);
+                    element.appendChild(serverNode || htmlToNode(request.body));
+                    break;
+                case "PATCH":
+                    forgetEntityTags(element);
+                    if (serverNode) {
+                        RemoteOrigins.transfer(element, serverNode);
+                        element.replaceWith(serverNode);
+                        return processResponse(serverNode, response);
+                    }
+                    applyDeltas(element, contentType.includes(DELTA_CONTENT_TYPE) ? JSON.parse(responseBody) : operation.deltas);
+                    rememberEntityTag(element, response);
+                    break;
+                case "DELETE":
+                    forgetEntityTags(element.parentNode);
+                    element.remove();
+                    break;
+            }
+        } catch (domError) {
+            console.error('DOM-aware primitives: Failed to apply TRANSACTION result:', domError);
+        }
+        return processResponse(element, response);
+    }
+}
+
+function sameDocument(href, otherHref) {
+    const url = new URL(href);
+    const otherUrl = new URL(otherHref);
+    url.hash = otherUrl.hash = "";
+    return url.href === otherUrl.href;
+}
+
+/*
+    Multi-element requests
+    document.GETAll and DELETEAll address every element a selector matches
+    with a single request. The server answers with a multipart/mixed body,
+    one part per match identified by its Content-Range (and optionally a
+    Status header of its own), or with the matches concatenated in a single
+    text/html body. Parts are paired with the local elements when the
+    request is for this document.
+*/
+const MULTI_ACCEPT = "multipart/mixed, text/html";
+
+// Statuses a Response can't be given a body for
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+function describeMultiRequest(method, selector, href) {
+    return {
+        method,
+        selector,
+        range: `selector=${selector}`,
+        href,
+        body: undefined,
+        contentType: null,
+        headers: { Accept: MULTI_ACCEPT },
+    };
+}
+
+function localMatches(selector, href) {
+    if (!selector || !sameDocument(href, window.location.href)) {
+        return [];
+    }
+    return Array.from(document.querySelectorAll(selector));
+}
+
+// Content-Range of a part: "selector=#a", or "selector #a" in the style of "bytes 0-99/200"
+function parsePartRange(contentRange) {
+    const match = /^\s*([\w-]+)[= ](.*)$/s.exec(contentRange || "");
+    return match ? { unit: match[1].toLowerCase(), value: match[2].trim() } : null;
+}
+
+function findPartElement(range, href) {
+    if (!sameDocument(href, window.location.href)) {
+        return null;
+    }
+    try {
+        switch (range.unit) {
+            case "selector": return document.querySelector(range.value);
+            case "xpath": return elementByXPath(range.value);
+            case "id": return document.getElementById(range.value);
+            default: return null;
+        }
+    } catch (error) {
+        return null;
+    }
+}
+
+function partResponse(body, status, headers) {
+    return new Response(NULL_BODY_STATUSES.includes(status) ? null : body, { status, headers });
+}
+
+function partNode(html) {
+    const template = document.createElement("template");
+    template.innerHTML = html.trim();
+    return template.content.firstElementChild;
+}
+
+async function readParts(response, selector, href) {
+    const matches = localMatches(selector, href);
+    const contentType = response.headers.get("Content-Type") || "";
+
+    if (contentType.startsWith("multipart/")) {
+        const parts = parseMultipart(await response.text(), contentType);
+        return parts.map((part, index) => {
+            const range = parsePartRange(part.headers.get("Content-Range"));
+            const element = range ? findPartElement(range, href) : matches[index] || null;
+            // "Status: 403 Forbidden", as CGI writes it; a part without a usable one has the response's
+            const status = responseStatus(part.headers.get("Status"), response.status);
+            return {
+                selector: range?.unit === "selector" ? range.value : element?.selector ?? null,
+                range,
+                element,
+                node: partNode(part.body),
+                response: partResponse(part.body, status, part.headers),
+            };
+        });
+    }
+
+    if (contentType.includes("text/html")) {
+        const template = document.createElement("template");
+        template.innerHTML = (await response.text()).trim();
+        return Array.from(template.content.children).map((node, index) => {
+            const element = matches[index] || null;
+            return {
+                selector: element?.selector ?? null,
+                range: null,
+                element,
+                node,
+                response: recreateResponse(node.outerHTML, response),
+            };
+        });
+    }
+
+    // No body to split: the response applies to every match
+    return matches.map(element => ({
+        selector: element.selector,
+        range: null,
+        element,
+        node: null,
+        response,
+    }));
+}
+
+// Parts of other documents have no element, so their events are dispatched on the document
+function settlePart(part) {
+    return processResponse(part.element || document, part.response);
+}
+
+function reportMultiError(selector, href, method, detail) {
+    const targets = localMatches(selector, href);
+    for (const target of targets.length ? targets : [document]) {
+        const evt = new CustomEvent("DASError", {
+            bubbles: true,
+            detail: { element: target, method, ...detail },
+        });
+        target.dispatchEvent(evt);
+    }
+}
+
+/*
+    Remote fragments
+    window.server.fetch("http://host/page#(selector=...)") GETs the elements
+    a Selector-Request addresses, in this or any other DOM-aware document,
+    and resolves to them adopted into this document. Each one remembers
+    where it came from (see RemoteOrigins), so it can be inserted anywhere
+    and still be PUT, PATCHed or DELETEd in its own document.
+*/
+window.server.fetch = async function(target) {
+    const { href, selector, xpath } = parseAndResolve(target);
+    const range = xpath ? `xpath=${xpath}` : selector ? `selector=${selector}` : null;
+    if (!href || !range) {
+        throw new Error(`server.fetch() needs a selector or xpath to fetch: ${target}`);
+    }
+
+    const response = await sendRangeRequest({
+        method: "GET",
+        selector: selector ?? null,
+        range,
+        href,
+        body: undefined,
+        contentType: null,
+        headers: { Accept: MULTI_ACCEPT },
+    });
+    if (!response.ok) {
+        const error = new Error(`server.fetch() failed with status ${response.status}: ${target}`);
+        error.response = response;
+        throw error;
+    }
+
+    const parts = (await readParts(response, selector, href)).filter(part => part.node);
+    return parts.map(part => {
+        const node = document.adoptNode(part.node);
+        // A part without a Content-Range can only be told apart when it is the only one
+        const origin = part.range ? `${part.range.unit}=${part.range.value}` : parts.length === 1 ? range : null;
+        if (origin) {
+            RemoteOrigins.set(node, { href, range: origin });
+        }
+        rememberEntityTag(node, part.response);
+        return node;
+    });
+};
+
+document.addEventListener("DASAvailable", () => {
+    // might as well return 'this'
+    Object.defineProperty(HTMLElement.prototype, "GET", {
+        value: async function() {
+            try {
+                const response = await sendRangeRequest(describeRequest(this, "GET"), this);
+                if (response.ok) {
+                    rememberEntityTag(this, response);
+                }
+                return processResponse(this, response);
+            } catch (error) {
+                console.error('DOM-aware primitives: GET request failed:', error);
+                const errorEvent = new CustomEvent("DASError", {
+                    bubbles: true,
+                    detail: { element: this, error: error, method: 'GET' },
+                });
+                this.dispatchEvent(errorEvent);
+                throw error;
+            }
+        },
+    });
+
+    Object.defineProperty(HTMLElement.prototype, "HEAD", {
+        value: async function() {
+            try {
+                const response = await sendRangeRequest(describeRequest(this, "HEAD"), this);
+                return processResponse(this, response);
+            } catch (error) {
+                console.error('DOM-aware primitives: HEAD request failed:', error);
+                const errorEvent = new CustomEvent("DASError", {
+                    bubbles: true,
+                    detail: { element: this, error: error, method: 'HEAD' },
+                });
+                this.dispatchEvent(errorEvent);
+                throw error;
+            }
+        },
+    });
+
+    // POST is the HTTP equivalent of appendChild
+    Object.defineProperty(HTMLElement.prototype, "POST", {
+        value: async function( postData, options = {} ) {
+            let optimistic = null;
+            try {
+                // Serialize the content to HTML string
+                const htmlContent = serializeContent(postData).trim();
+                const request = describeRequest(this, "POST", htmlContent);
+
+                if (options.optimistic) {
+                    optimistic = OptimisticChange.append(this, htmlContent);
+                }
+
+                const response = await sendMutation(this, request);
+                if (OfflineQueue.wasQueued(response, optimistic)) {
+                    return response;
+                }
+
+                // If successful and server returns HTML, append it
+                if (
                     response.ok &&
                     response.headers.get("Content-Type")?.includes("text/html")
                 ) {
                     const responseHtml = await response.text();
                     if (responseHtml) {
                         try {
-                            this.appendChild(htmlToNode(responseHtml));
+                            const newNode = htmlToNode(responseHtml);
+                            forgetEntityTags(this);
+                            rememberEntityTag(newNode, response);
+                            if (optimistic) {
+                                optimistic.settle(newNode);
+                            } else {
+                                this.appendChild(newNode);
+                            }
                         } catch (domError) {
                             console.error('DOM-aware primitives: Failed to append response HTML:', domError);
                             throw domError;
@@ -295,9 +1213,15 @@ document.addEventListener("DASAvailable", () => {
                     return processResponse(this, recreateResponse(responseHtml, response));
                 }
 
+                if (response.ok) {
+                    forgetEntityTags(this);
+                } else if (optimistic) {
+                    optimistic.rollback({ method: 'POST', response });
+                }
                 return processResponse(this, response);
             } catch (error) {
                 console.error('DOM-aware primitives: POST request failed:', error);
+                optimistic?.rollback({ method: 'POST', error });
                 const errorEvent = new CustomEvent("DASError", {
                     bubbles: true,
                     detail: { element: this, error: error, method: 'POST' },
@@ -310,7 +1234,12 @@ document.addEventListener("DASAvailable", () => {
 
     // PUT is the HTTP equivalent of replaceChild
     Object.defineProperty(HTMLElement.prototype, "PUT", {
-        value: async function( optHTML ) {
+        value: async function( optHTML, options = {} ) {
+            if (isOptions(optHTML)) {
+                options = optHTML;
+                optHTML = undefined;
+            }
+            let optimistic = null;
             try {
                 if (!this.parentNode) {
                     throw new Error('Element must have a parent to use PUT');
@@ -322,24 +1251,34 @@ document.addEventListener("DASAvailable", () => {
                 } else {
                     body = this.outerHTML;
                 }
+                const request = describeRequest(this, "PUT", body);
 
-                const headers = new Headers();
-                headers.set("Range", `selector=${this.selector}`);
-                headers.set("Content-Type", "text/html");
-                // Use the element's baseURI to support imported nodes
-                const url = this.baseURI || window.location.href;
-                const response = await fetch(url, {
-                    headers,
-                    body,
-                    method: "PUT",
-                });
+                // Without new content the DOM already shows what is being sent
+                if (options.optimistic && optHTML) {
+                    optimistic = OptimisticChange.replace(this, htmlToNode(body));
+                }
+                const current = optimistic?.current || this;
+
+                const response = await sendMutation(current, request);
+                if (OfflineQueue.wasQueued(response, optimistic)) {
+                    return response;
+                }
+                if (response.status === 412) {
+                    optimistic?.rollback({ method: 'PUT', response });
+                    await reportConflict(this, 'PUT', body, response);
+                    return processResponse(this, response);
+                }
                 if (response.ok) {
+                    forgetEntityTags(current);
+                    rememberEntityTag(current, response);
                     if (response.headers.get("Content-Type")?.includes("text/html")) {
                         const responseHtml = await response.text();
                         if (responseHtml) {
                             try {
                                 const newNode = htmlToNode(responseHtml);
-                                this.parentNode.replaceChild(newNode, this);
+                                rememberEntityTag(newNode, response);
+                                RemoteOrigins.transfer(current, newNode);
+                                current.parentNode.replaceChild(newNode, current);
                                 return processResponse(
                                     newNode,
                                     recreateResponse(responseHtml, response)
@@ -350,6 +1289,10 @@ document.addEventListener("DASAvailable", () => {
                             }
                         }
                     }
+                    return processResponse(current, response);
+                } else if (optimistic) {
+                    // The snapshot is the last known server state, no need to GET it again
+                    optimistic.rollback({ method: 'PUT', response });
                 } else {
                     // Fallback: try to GET fresh content
                     try {
@@ -358,6 +1301,8 @@ document.addEventListener("DASAvailable", () => {
                             const responseHtml = await getResponse.text();
                             if (responseHtml) {
                                 const newNode = htmlToNode(responseHtml);
+                                rememberEntityTag(newNode, getResponse);
+                                RemoteOrigins.transfer(this, newNode);
                                 this.parentNode.replaceChild(newNode, this);
                                 return processResponse(
                                     newNode,
@@ -372,6 +1317,7 @@ document.addEventListener("DASAvailable", () => {
                 return processResponse(this, response);
             } catch (error) {
                 console.error('DOM-aware primitives: PUT request failed:', error);
+                optimistic?.rollback({ method: 'PUT', error });
                 const errorEvent = new CustomEvent("DASError", {
                     bubbles: true,
                     detail: { element: this, error: error, method: 'PUT' },
@@ -382,41 +1328,108 @@ document.addEventListener("DASAvailable", () => {
         },
     });
 
+    // PATCH sends only what changed, as DOM deltas (see dom-delta/index.mjs)
     Object.defineProperty(HTMLElement.prototype, "PATCH", {
-        value: async function(anEMR) {
-            const headers = new Headers();
-            headers.set("Content-Type", "application/json");
-            const response = await fetch(window.location, {
-                method: "PATCH",
-                headers: headers,
-                body: JSON.stringify(anEMR),
-            });
-            return processResponse(this, response);
+        value: async function( changes ) {
+            try {
+                if (!this.parentNode) {
+                    throw new Error('Element must have a parent to use PATCH');
+                }
+                if (changes === undefined || changes === null) {
+                    throw new Error('PATCH requires the changed element or an array of deltas');
+                }
+
+                let deltas;
+                if (Array.isArray(changes)) {
+                    deltas = changes;
+                } else {
+                    // Merge adjacent text nodes so child indices match the server's parse
+                    this.normalize();
+                    deltas = diffElements(this, htmlToNode(serializeContent(changes).trim()));
+                }
+
+                const body = JSON.stringify(deltas);
+                const response = await sendMutation(this, describeRequest(this, "PATCH", body, DELTA_CONTENT_TYPE));
+                if (OfflineQueue.wasQueued(response)) {
+                    return response;
+                }
+                if (response.status === 412) {
+                    await reportConflict(this, 'PATCH', body, response);
+                    return processResponse(this, response);
+                }
+                if (!response.ok) {
+                    return processResponse(this, response);
+                }
+
+                forgetEntityTags(this);
+                const contentType = response.headers.get("Content-Type") || "";
+                if (contentType.includes("text/html")) {
+                    // The server sent the patched element back
+                    const responseHtml = await response.text();
+                    if (responseHtml) {
+                        const newNode = htmlToNode(responseHtml);
+                        rememberEntityTag(newNode, response);
+                        RemoteOrigins.transfer(this, newNode);
+                        this.parentNode.replaceChild(newNode, this);
+                        return processResponse(newNode, recreateResponse(responseHtml, response));
+                    }
+                    return processResponse(this, recreateResponse(responseHtml, response));
+                }
+
+                rememberEntityTag(this, response);
+                if (contentType.includes(DELTA_CONTENT_TYPE)) {
+                    // The server sent the deltas it actually applied
+                    const responseJson = await response.text();
+                    applyDeltas(this, JSON.parse(responseJson));
+                    return processResponse(this, recreateResponse(responseJson, response));
+                }
+                applyDeltas(this, deltas);
+                return processResponse(this, response);
+            } catch (error) {
+                console.error('DOM-aware primitives: PATCH request failed:', error);
+                const errorEvent = new CustomEvent("DASError", {
+                    bubbles: true,
+                    detail: { element: this, error: error, method: 'PATCH' },
+                });
+                this.dispatchEvent(errorEvent);
+                throw error;
+            }
         },
     });
 
     Object.defineProperty(HTMLElement.prototype, "DELETE", {
-        value: async function() {
+        value: async function( options = {} ) {
+            let optimistic = null;
             try {
-                const headers = new Headers();
-                headers.set("Range", `selector=${this.selector}`);
-                // Use the element's baseURI to support imported nodes
-                const url = this.baseURI || window.location.href;
-                const response = await fetch(url, {
-                    headers,
-                    method: "DELETE",
-                });
+                const request = describeRequest(this, "DELETE");
+                if (options.optimistic) {
+                    optimistic = OptimisticChange.remove(this);
+                }
+
+                const response = await sendMutation(this, request);
+                if (OfflineQueue.wasQueued(response, optimistic)) {
+                    return response;
+                }
+                if (response.status === 412) {
+                    optimistic?.rollback({ method: 'DELETE', response });
+                    await reportConflict(this, 'DELETE', null, response);
+                    return processResponse(this, response);
+                }
                 if (response.ok) {
+                    forgetEntityTags(optimistic ? optimistic.parent : this.parentNode);
                     try {
                         this.remove();
                     } catch (domError) {
                         console.error('DOM-aware primitives: Failed to remove element from DOM:', domError);
                         // Don't throw here as the server operation succeeded
                     }
+                } else if (optimistic) {
+                    optimistic.rollback({ method: 'DELETE', response });
                 }
                 return processResponse(this, response);
             } catch (error) {
                 console.error('DOM-aware primitives: DELETE request failed:', error);
+                optimistic?.rollback({ method: 'DELETE', error });
                 const errorEvent = new CustomEvent("DASError", {
                     bubbles: true,
                     detail: { element: this, error: error, method: 'DELETE' },
@@ -426,60 +1439,625 @@ document.addEventListener("DASAvailable", () => {
             }
         },
     });
-});
 
-// Check for DOM-aware server
-try {
-    const optionsRequest = await fetch(window.location, {
-        method: "OPTIONS",
+    // TRANSACTION(async tx => { tx.PUT(el1); tx.DELETE(el2); tx.POST(el3, html); })
+    Object.defineProperty(Document.prototype, "TRANSACTION", {
+        value: async function( callback ) {
+            const transaction = new Transaction();
+            await callback(transaction);
+            return transaction.commit();
+        },
     });
 
-    if (optionsRequest.ok) {
-        const acceptRanges = optionsRequest.headers.get("Accept-Ranges");
-        window.location.server.DASAware = !!(acceptRanges && acceptRanges.match(/selector/));
-    } else {
-        console.warn('DOM-aware primitives: OPTIONS request returned non-OK status:', optionsRequest.status);
-        window.location.server.DASAware = false;
-    }
-} catch (error) {
-    console.error('DOM-aware primitives: Failed to check server capabilities:', error);
-    window.location.server.DASAware = false;
-}
+    // GETAll("tr.overdue", { href }) resolves to [{ selector, range, element, node, response }]
+    Object.defineProperty(Document.prototype, "GETAll", {
+        value: async function( selector, options = {} ) {
+            const href = new URL(options.href || window.location.href, window.location.href).href;
+            try {
+                const response = await sendRangeRequest(describeMultiRequest("GET", selector, href));
+                if (!response.ok) {
+                    reportMultiError(selector, href, "GET", { response });
+                    return [];
+                }
+                const parts = await readParts(response, selector, href);
+                for (const part of parts) {
+                    if (part.element && part.response.ok) {
+                        rememberEntityTag(part.element, part.response);
+                    }
+                    settlePart(part);
+                }
+                return parts;
+            } catch (error) {
+                console.error('DOM-aware primitives: GETAll request failed:', error);
+                reportMultiError(selector, href, "GET", { error });
+                throw error;
+            }
+        },
+    });
 
-if (window.location.server.DASAware) {
-    const evt = new CustomEvent("DASAvailable", { bubbles: true, detail: {} });
-    document.dispatchEvent(evt);
-} else {
-    const evt = new CustomEvent("DASUnavailable", { bubbles: true, detail: {} });
-    document.dispatchEvent(evt);
-}
+    // DELETEAll("li.done") removes every match the server deleted
+    Object.defineProperty(Document.prototype, "DELETEAll", {
+        value: async function( selector, options = {} ) {
+            const href = new URL(options.href || window.location.href, window.location.href).href;
+            try {
+                const response = await sendRangeRequest(describeMultiRequest("DELETE", selector, href));
+                if (!response.ok) {
+                    reportMultiError(selector, href, "DELETE", { response });
+                    return [];
+                }
+                const parts = await readParts(response, selector, href);
+                for (const part of parts) {
+                    if (part.element && part.response.ok) {
+                        forgetEntityTags(part.element.parentNode);
+                        part.element.remove();
+                    }
+                    settlePart(part);
+                }
+                return parts;
+            } catch (error) {
+                console.error('DOM-aware primitives: DELETEAll request failed:', error);
+                reportMultiError(selector, href, "DELETE", { error });
+                throw error;
+            }
+        },
+    });
+});
 
 /*
-    Shared permission checking logic
+    Offline mutation queue
+    When enabled, POST/PUT/DELETE requests that fail because the network is
+    unreachable are stored in IndexedDB and replayed in order once the
+    server can be reached again.
 */
-class PermissionChecker {
-    // Static cache for OPTIONS responses
-    // Key format: "METHOD1,METHOD2:type:target" -> { allowed: Set<string>, timestamp: number }
-    static cache = new Map();
-    
-    // Default cache TTL in seconds
+class OfflineQueue {
+    static DATABASE_NAME = "dom-aware-primitives";
+    static STORE_NAME = "offline-queue";
+
+    static enabled = false;
+    static pending = 0;
+    static replaying = false;
+    static database = null;
+
+    // Synthetic responses handed back to callers for queued requests -> entry id
+    static queuedResponses = new WeakMap();
+
+    // Entries queued in this page: id -> { element, optimistic }, to apply their responses to
+    static queuedElements = new Map();
+
+    // Retrying while entries are left, backing off from one second to a minute
+    static retryTimer = null;
+    static retryDelay = 1000;
+    static MAX_RETRY_DELAY = 60000;
+
+    static async enable() {
+        if (!window.indexedDB) {
+            console.error('DOM-aware primitives: Offline queue requires IndexedDB');
+            return false;
+        }
+        OfflineQueue.pending = await OfflineQueue.transact("readonly", store => store.count());
+        OfflineQueue.enabled = true;
+
+        // Flush whatever a previous session left behind
+        if (navigator.onLine && window.location.server.DASAware) {
+            OfflineQueue.replay();
+        } else {
+            OfflineQueue.scheduleRetry();
+        }
+        return true;
+    }
+
+    static disable() {
+        // Stored requests are kept, and replayed when the queue is enabled again
+        OfflineQueue.enabled = false;
+    }
+
+    static openDatabase() {
+        if (!OfflineQueue.database) {
+            OfflineQueue.database = new Promise((resolve, reject) => {
+                const request = indexedDB.open(OfflineQueue.DATABASE_NAME, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(OfflineQueue.STORE_NAME, {
+                        keyPath: "id",
+                        autoIncrement: true,
+                    });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return OfflineQueue.database;
+    }
+
+    static async transact(mode, operation) {
+        const database = await OfflineQueue.openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(OfflineQueue.STORE_NAME, mode);
+            const request = operation(transaction.objectStore(OfflineQueue.STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    static async enqueue(anElement, request) {
+        const entry = { ...request, queuedAt: Date.now() };
+        OfflineQueue.pending++;
+        try {
+            entry.id = await OfflineQueue.transact("readwrite", store => store.add(entry));
+        } catch (error) {
+            OfflineQueue.pending--;
+            console.error('DOM-aware primitives: Failed to queue offline request:', error);
+            throw error;
+        }
+
+        if (window.DAS_OFFLINE_DEBUG) {
+            console.log('OfflineQueue: Queued request', entry);
+        }
+        anElement.dispatchEvent(new CustomEvent("DASQueued", {
+            bubbles: true,
+            detail: { element: anElement, request: entry },
+        }));
+        OfflineQueue.queuedElements.set(entry.id, { element: anElement, optimistic: null });
+        OfflineQueue.scheduleRetry();
+
+        const response = new Response(null, { status: 202, statusText: "Queued" });
+        OfflineQueue.queuedResponses.set(response, entry.id);
+        return response;
+    }
+
+    // An optimistic change stays in place until its queued request is replayed
+    static wasQueued(response, optimistic = null) {
+        if (!OfflineQueue.queuedResponses.has(response)) {
+            return false;
+        }
+        const queued = OfflineQueue.queuedElements.get(OfflineQueue.queuedResponses.get(response));
+        if (queued && optimistic) {
+            queued.optimistic = optimistic;
+        }
+        return true;
+    }
+
+    // Timeouts, rate limiting and server errors may well go away
+    static isRetryable(response) {
+        return response.status === 408 || response.status === 425 || response.status === 429 || response.status >= 500;
+    }
+
+    static scheduleRetry() {
+        if (!OfflineQueue.enabled || OfflineQueue.pending === 0 || OfflineQueue.retryTimer || OfflineQueue.replaying) {
+            return;
+        }
+        OfflineQueue.retryTimer = setTimeout(() => {
+            OfflineQueue.retryTimer = null;
+            OfflineQueue.reconnect();
+        }, OfflineQueue.retryDelay);
+        OfflineQueue.retryDelay = Math.min(OfflineQueue.retryDelay * 2, OfflineQueue.MAX_RETRY_DELAY);
+    }
+
+    static async replay() {
+        if (!OfflineQueue.enabled || OfflineQueue.replaying) {
+            return;
+        }
+        OfflineQueue.replaying = true;
+        try {
+            // Take one entry at a time so requests queued meanwhile are replayed too
+            let entries;
+            while ((entries = await OfflineQueue.transact("readonly", store => store.getAll(null, 1))).length) {
+                const [entry] = entries;
+                let response;
+                try {
+                    response = await sendRangeRequest(entry);
+                } catch (error) {
+                    // Still unreachable; keep the entry for the next attempt
+                    console.warn('DOM-aware primitives: Offline replay interrupted:', error);
+                    break;
+                }
+                if (OfflineQueue.isRetryable(response)) {
+                    console.warn('DOM-aware primitives: Offline replay deferred, server answered', response.status);
+                    break;
+                }
+                await OfflineQueue.transact("readwrite", store => store.delete(entry.id));
+                OfflineQueue.pending--;
+
+                const queued = OfflineQueue.queuedElements.get(entry.id);
+                OfflineQueue.queuedElements.delete(entry.id);
+                const element = await OfflineQueue.applyResponse(entry, queued, response);
+                const target = element?.isConnected ? element : document;
+                target.dispatchEvent(new CustomEvent(response.ok ? "DASReplayed" : "DASReplayFailed", {
+                    bubbles: true,
+                    detail: { element: target === document ? null : target, request: entry, response },
+                }));
+            }
+            if (OfflineQueue.pending === 0) {
+                OfflineQueue.retryDelay = 1000;
+            }
+        } catch (error) {
+            console.error('DOM-aware primitives: Offline replay failed:', error);
+        } finally {
+            OfflineQueue.replaying = false;
+        }
+        OfflineQueue.scheduleRetry();
+    }
+
+    /*
+        Does to the page what the verb would have done had the response come
+        straight away, and returns the element it is about. Elements queued
+        in an earlier page are found again by their selector.
+    */
+    static async applyResponse(entry, queued, response) {
+        const optimistic = queued?.optimistic || null;
+        const element = queued ? queued.element : OfflineQueue.findElement(entry);
+        try {
+            if (!response.ok) {
+                optimistic?.rollback({ method: entry.method, response });
+                return element;
+            }
+            const contentType = response.headers.get("Content-Type") || "";
+            const html = contentType.includes("text/html") ? await response.text() : "";
+            const newNode = html ? htmlToNode(html) : null;
+            if (newNode) {
+                rememberEntityTag(newNode, response);
+            }
+            switch (entry.method) {
+                case "POST":
+                    if (newNode && optimistic) {
+                        optimistic.settle(newNode);
+                    } else if (newNode && element?.isConnected) {
+                        element.appendChild(newNode);
+                    }
+                    return newNode || element;
+                case "DELETE":
+                    if (!optimistic) {
+                        element?.remove();
+                    }
+                    return element;
+                case "PUT":
+                case "PATCH":
+                    if (newNode && element?.parentNode) {
+                        RemoteOrigins.transfer(element, newNode);
+                        element.replaceWith(newNode);
+                        return newNode;
+                    }
+                    if (entry.method === "PATCH" && element) {
+                        const deltas = contentType.includes(DELTA_CONTENT_TYPE) ? await response.text() : entry.body;
+                        applyDeltas(element, JSON.parse(deltas));
+                    }
+                    return element;
+            }
+        } catch (error) {
+            console.error('DOM-aware primitives: Failed to apply replayed response:', error);
+        }
+        return element;
+    }
+
+    // Best effort: the element may have moved or gone since it was queued
+    static findElement(entry) {
+        try {
+            if (!sameDocument(entry.href, window.location.href)) {
+                return null;
+            }
+            return document.querySelector(entry.selector);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Called when the browser comes back online, and while entries are left
+    static async reconnect() {
+        if (!(await probeServer())) {
+            OfflineQueue.scheduleRetry();
+            return;
+        }
+        if (!window.location.server.DASAware) {
+            window.location.server.DASAware = true;
+            const evt = new CustomEvent("DASAvailable", { bubbles: true, detail: {} });
+            document.dispatchEvent(evt);
+        }
+        await OfflineQueue.replay();
+    }
+}
+
+window.server.offline = {
+    enable: OfflineQueue.enable,
+    disable: OfflineQueue.disable,
+    replay: OfflineQueue.replay,
+    get enabled() {
+        return OfflineQueue.enabled;
+    },
+    get pending() {
+        return OfflineQueue.pending;
+    },
+};
+
+window.addEventListener("online", () => {
+    if (OfflineQueue.enabled) {
+        clearTimeout(OfflineQueue.retryTimer);
+        OfflineQueue.retryTimer = null;
+        OfflineQueue.retryDelay = 1000;
+        OfflineQueue.reconnect();
+    }
+});
+
+/*
+    Authentication
+    A credential provider adds what the server needs to know who is asking to
+    the verbs' requests, the permission lookups and the stream's polls, for
+    the origins it is for (this page's, by default). Logging in and out, or
+    updating the credentials, dispatches HTTPAuthChange, so cached
+    permissions are dropped and <http-can> checks again.
+
+    A 401 or 403 answer to a verb dispatches DASAuthRequired on its element
+    (for a TRANSACTION, on the element of its first operation, and for the
+    OPTIONS probe made on load, on the document). A listener that calls
+    event.detail.retryAfter(promise), or a prompt set as
+    window.server.auth.prompt, gets the request sent again once the promise
+    resolves, unless it resolves to false. event.detail.giveUp() fails the
+    request instead, as does waiting longer than window.server.auth.timeout
+    (milliseconds, five minutes by default).
+
+        window.server.auth.prompt = async () => {
+            const token = await showLoginDialog();
+            await window.server.auth.login(window.server.auth.bearer(token));
+        };
+*/
+class Auth {
+    static provider = null;
+
+    // Concurrent 401s share one prompt
+    static prompting = null;
+
+    static prompt = null;
+
+    // How long a refused request waits for the login before failing, in milliseconds
+    static timeout = 5 * 60 * 1000;
+
+    static async login(provider, credentials = undefined) {
+        await provider.login?.(credentials);
+        Auth.provider = provider;
+        Auth.changed('login');
+    }
+
+    static async logout() {
+        const provider = Auth.provider;
+        Auth.provider = null;
+        try {
+            await provider?.logout?.();
+        } finally {
+            Auth.changed('logout');
+        }
+    }
+
+    static changed(reason) {
+        document.dispatchEvent(new CustomEvent('HTTPAuthChange', {
+            bubbles: true,
+            detail: { reason, provider: Auth.provider?.name ?? null }
+        }));
+    }
+
+    static appliesTo(provider, href) {
+        const { origin } = new URL(href || window.location.href, window.location.href);
+        return (provider.origins || [window.location.origin]).includes(origin);
+    }
+
+    // The fetch() options for a request to href, with the credentials added when they are for its origin
+    static async prepare(href, init = {}) {
+        const provider = Auth.provider;
+        if (!provider || !Auth.appliesTo(provider, href)) {
+            return init;
+        }
+        const headers = new Headers(init.headers);
+        await provider.authorize?.(headers, href);
+        return provider.credentials ? { ...init, headers, credentials: provider.credentials } : { ...init, headers };
+    }
+
+    // Whether a request that was refused should be sent again
+    static async required(response, request, anElement) {
+        let retry = null;
+        let giveUp;
+        const givenUp = new Promise(resolve => {
+            giveUp = () => resolve(false);
+        });
+        const evt = new CustomEvent('DASAuthRequired', {
+            bubbles: true,
+            detail: {
+                element: anElement,
+                method: request.method,
+                href: request.href,
+                status: response.status,
+                challenge: response.headers.get('WWW-Authenticate'),
+                response,
+                retryAfter(promise) {
+                    retry = promise;
+                },
+                giveUp,
+            },
+        });
+        (anElement?.isConnected ? anElement : document).dispatchEvent(evt);
+
+        if (!retry && Auth.prompt) {
+            Auth.prompting ??= Promise.resolve(Auth.prompt(evt.detail)).finally(() => {
+                Auth.prompting = null;
+            });
+            retry = Auth.prompting;
+        }
+        if (!retry) {
+            return false;
+        }
+        let timer;
+        const timedOut = new Promise(resolve => {
+            timer = setTimeout(() => {
+                console.warn('DOM-aware primitives: Gave up waiting for a login:', request.method, request.href);
+                resolve(false);
+            }, Auth.timeout);
+        });
+        const loggedIn = Promise.resolve(retry).then(result => result !== false, error => {
+            console.warn('DOM-aware primitives: Login failed:', error);
+            return false;
+        });
+        const outcome = await Promise.race([loggedIn, givenUp, timedOut]);
+        clearTimeout(timer);
+        if (!outcome && Auth.prompting === retry) {
+            // A prompt that never finished isn't waited for again by the next refused request
+            Auth.prompting = null;
+        }
+        return outcome;
+    }
+
+    // Authorization: Bearer, with a token or a function returning one (or a promise of one)
+    static bearer(token, { origins } = {}) {
+        return {
+            name: 'bearer',
+            origins,
+            async authorize(headers) {
+                const value = typeof token === 'function' ? await token() : token;
+                if (value) {
+                    headers.set('Authorization', `Bearer ${value}`);
+                }
+            },
+            update(newToken) {
+                token = newToken;
+                Auth.updated(this);
+            },
+        };
+    }
+
+    // Authorization: Basic
+    static basic(username, password, { origins } = {}) {
+        return {
+            name: 'basic',
+            origins,
+            authorize(headers) {
+                const bytes = new TextEncoder().encode(`${username}:${password}`);
+                headers.set('Authorization', `Basic ${btoa(String.fromCharCode(...bytes))}`);
+            },
+            update(newUsername, newPassword) {
+                username = newUsername;
+                password = newPassword;
+                Auth.updated(this);
+            },
+        };
+    }
+
+    // A cookie session: login() posts the credentials to loginURL, logout() posts to logoutURL
+    static cookie({ loginURL = null, logoutURL = null, origins, credentials = 'include' } = {}) {
+        const post = async (url, body) => {
+            const response = await fetch(url, { method: 'POST', body, credentials });
+            if (!response.ok) {
+                throw new Error(`${url} answered ${response.status}`);
+            }
+        };
+        return {
+            name: 'cookie',
+            origins,
+            credentials,
+            async login(body) {
+                if (loginURL) await post(loginURL, body);
+            },
+            async logout() {
+                if (logoutURL) await post(logoutURL);
+            },
+            // The session changed some other way, a new cookie from the server say
+            update() {
+                Auth.updated(this);
+            },
+        };
+    }
+
+    static updated(provider) {
+        if (Auth.provider === provider) {
+            Auth.changed('update');
+        }
+    }
+}
+
+window.server.auth = {
+    login: Auth.login,
+    logout: Auth.logout,
+    prepare: Auth.prepare,
+    bearer: Auth.bearer,
+    basic: Auth.basic,
+    cookie: Auth.cookie,
+    get provider() {
+        return Auth.provider;
+    },
+    get prompt() {
+        return Auth.prompt;
+    },
+    set prompt(prompt) {
+        Auth.prompt = prompt;
+    },
+    get timeout() {
+        return Auth.timeout;
+    },
+    set timeout(timeout) {
+        Auth.timeout = timeout;
+    },
+};
+
+/*
+    Shared permission checking logic
+    Lookups are cached per document and range, whatever methods they ask
+    about, and checks of the same target share the lookup on its way.
+
+    A server that sends "DAS-Batch: permissions" in its OPTIONS response
+    answers for many ranges at once: lookups made in the same task are sent
+    together as an OPTIONS request with a body.
+
+    Request:  { "ranges": ["selector=#a", "xpath=//li[2]", ...] }
+    Response: { "selector=#a": ["GET", "PUT"], "xpath=//li[2]": ["GET"], ... }
+
+    The same map can be embedded in the page, to be used before asking:
+
+        <script type="application/das-permissions+json">{ "selector=#list": ["GET", "POST"] }</script>
+
+    Its keys are the Range values the checks send (the key "" stands for the
+    document itself), so the server has to address elements the way the
+    page does.
+
+    Answers are kept for the TTL the check asks for, or less when the
+    OPTIONS response says so with Cache-Control (no-store, no-cache and
+    max-age) or "Vary: *". They belong to the session they were asked in:
+    an HTTPAuthChange starts a new one. A successful change made through the
+    verbs, or pushed by the server as a stream update, drops the answers
+    about the changed element, its ancestors and its descendants (for
+    DELETE, about everything under its parent, since its siblings move),
+    and a DASPermissionsChange event then tells the <http-can> elements
+    whose answers were dropped to check again.
+    So does a PermissionChange item on the stream (see das-ws.mjs), for the
+    elements, the document or everything it is about.
+*/
+const PERMISSIONS_CONTENT_TYPE = "application/das-permissions+json";
+
+class PermissionChecker {
+    // Static cache for OPTIONS responses
+    // Key format: "session url range" -> { allowed: Set<string>, timestamp: number, expires: number, url, range }
+    static cache = new Map();
+    
+    // Lookups on their way: cache key -> { promise, fresh, url, range }
+    static inflight = new Map();
+    
+    // Bumped when the user's authorization changes, so that answers given before aren't used after
+    static session = 0;
+    
+    // Documents whose server takes batched lookups
+    static batching = new Set();
+    
+    // Lookups waiting to be sent together: url -> Map(range -> { promise, resolve, reject })
+    static batches = new Map();
+    
+    // Default cache TTL in seconds
     static DEFAULT_CACHE_TTL = 300; // 5 minutes
     
+    // options.range is a complete Range value ("unit=value"); xpath and selector are shorthands for it
     static async checkPermissions(methods, options = {}) {
-        const { selector, href, cacheTTL = PermissionChecker.DEFAULT_CACHE_TTL } = options;
+        const { selector, xpath, href, cacheTTL = PermissionChecker.DEFAULT_CACHE_TTL } = options;
+        const range = options.range || (xpath ? `xpath=${xpath}` : selector ? `selector=${selector}` : null);
         
-        // Normalize methods to uppercase array
-        const methodsArray = Array.isArray(methods) ? methods : [methods];
-        const normalizedMethods = methodsArray.map(m => m.toUpperCase());
-        
-        // At least one of selector or href is required
-        if (!selector && !href) {
+        // At least one of range or href is required
+        if (!range && !href) {
             throw new Error('Either selector or href must be provided');
         }
         
-        // Generate cache key
-        const targetKey = href || selector;
-        const cacheKey = PermissionChecker.getCacheKey(normalizedMethods, targetKey, href ? 'href' : 'selector');
+        const url = PermissionChecker.documentURL(href);
+        const cacheKey = PermissionChecker.getCacheKey(url, range);
         
         // Check cache
         const cachedResult = PermissionChecker.getCachedResult(cacheKey, cacheTTL);
@@ -487,25 +2065,168 @@ class PermissionChecker {
             return cachedResult;
         }
         
-        // Fetch allowed methods (pass cacheTTL to control browser caching)
-        const allowedMethods = await PermissionChecker.fetchAllowedMethods(selector, href, cacheTTL);
+        // A fresh check can't use a lookup that was asked for before it
+        const fresh = cacheTTL === 0;
+        const pending = PermissionChecker.inflight.get(cacheKey);
+        if (pending && (pending.fresh || !fresh)) {
+            return pending.promise;
+        }
         
-        // Cache the result only if TTL > 0
-        if (cacheTTL > 0) {
-            PermissionChecker.setCachedResult(cacheKey, allowedMethods);
+        const promise = PermissionChecker.lookup(url, range, cacheTTL)
+            .then(({ allowed, lifetime }) => {
+                // Cache the result only if TTL > 0, the server lets us, and nothing has changed since asking
+                const current = PermissionChecker.inflight.get(cacheKey)?.promise === promise;
+                if (cacheTTL > 0 && lifetime !== 0 && current) {
+                    PermissionChecker.setCachedResult(cacheKey, allowed, { url, range, lifetime });
+                }
+                return allowed;
+            })
+            .finally(() => {
+                if (PermissionChecker.inflight.get(cacheKey)?.promise === promise) {
+                    PermissionChecker.inflight.delete(cacheKey);
+                }
+            });
+        PermissionChecker.inflight.set(cacheKey, { promise, fresh, url, range });
+        return promise;
+    }
+    
+    static lookup(url, range, cacheTTL) {
+        // Fresh checks bypass the browser cache, so they are sent on their own
+        if (range && cacheTTL !== 0 && PermissionChecker.batching.has(url)) {
+            return PermissionChecker.enqueue(url, range);
+        }
+        return PermissionChecker.fetchAllowedMethods(range, url, cacheTTL);
+    }
+    
+    static enqueue(url, range) {
+        let batch = PermissionChecker.batches.get(url);
+        if (!batch) {
+            batch = new Map();
+            PermissionChecker.batches.set(url, batch);
+            queueMicrotask(() => {
+                PermissionChecker.batches.delete(url);
+                PermissionChecker.sendBatch(url, batch);
+            });
+        }
+        if (!batch.has(range)) {
+            const lookup = {};
+            lookup.promise = new Promise((resolve, reject) => {
+                lookup.resolve = resolve;
+                lookup.reject = reject;
+            });
+            batch.set(range, lookup);
+        }
+        return batch.get(range).promise;
+    }
+    
+    static async sendBatch(url, batch) {
+        const ranges = Array.from(batch.keys());
+        const settleSeparately = (entries) => {
+            for (const [range, lookup] of entries) {
+                PermissionChecker.fetchAllowedMethods(range, url).then(lookup.resolve, lookup.reject);
+            }
+        };
+        if (ranges.length === 1) {
+            settleSeparately(batch);
+            return;
+        }
+        
+        if (window.PERMISSION_DEBUG) {
+            console.log('PermissionChecker: Making batched OPTIONS request', { url, ranges });
+        }
+        
+        let permissions;
+        let lifetime;
+        try {
+            const response = await fetch(url, await Auth.prepare(url, {
+                method: 'OPTIONS',
+                headers: {
+                    'Content-Type': PERMISSIONS_CONTENT_TYPE,
+                    'Accept': PERMISSIONS_CONTENT_TYPE
+                },
+                body: JSON.stringify({ ranges })
+            }));
+            if (!response.ok || !response.headers.get('Content-Type')?.includes(PERMISSIONS_CONTENT_TYPE)) {
+                // The server doesn't take batches after all
+                PermissionChecker.batching.delete(url);
+                settleSeparately(batch);
+                return;
+            }
+            permissions = await response.json();
+            lifetime = PermissionChecker.cacheLifetime(response);
+        } catch (error) {
+            console.error('PermissionChecker: Failed to fetch permissions:', error);
+            batch.forEach(lookup => lookup.reject(error));
+            return;
         }
         
-        return allowedMethods;
+        // Ranges the server left out are asked about on their own
+        const missing = [];
+        for (const [range, lookup] of batch) {
+            const methods = permissions?.[range];
+            if (Array.isArray(methods)) {
+                lookup.resolve({ allowed: PermissionChecker.methodSet(methods), lifetime });
+            } else {
+                missing.push([range, lookup]);
+            }
+        }
+        settleSeparately(missing);
+    }
+    
+    /*
+        Answers a query (see permission-expression/), resolving each check's
+        target with resolveTarget(on). The checks are made together, so they
+        share a batch. Resolves to { allowed, checks }, with each check's
+        methods, range, href, the methods allowed there, and whether it passed.
+    */
+    static async evaluate(query, resolveTarget, cacheTTL) {
+        const checks = queryChecks(query);
+        const answers = await Promise.all(checks.map(async (check) => {
+            const target = resolveTarget(check.on ?? null);
+            const allowed = await PermissionChecker.checkPermissions(check.methods, { ...target, cacheTTL });
+            return {
+                ...check,
+                ...target,
+                allowed: Array.from(allowed),
+                passed: check.methods.every(method => allowed.has(method))
+            };
+        }));
+        const passed = new Map(checks.map((check, index) => [check, answers[index].passed]));
+        return { allowed: evaluateQuery(query, check => passed.get(check)), checks: answers };
     }
     
-    static async fetchAllowedMethods(selector, href, cacheTTL = null) {
+    // Where a check's target points: { href, range } is the one the expression is about, element the one closest() starts from
+    static resolveTarget(on, { href, range, element = null }) {
+        if (on === null) {
+            return { href, range };
+        }
+        const target = parseTarget(on);
+        if (target.closest) {
+            const found = element?.closest(target.closest);
+            if (!found) {
+                throw new Error(`Nothing matches closest(${target.closest})`);
+            }
+            return { href, range: RangeUnits.forElement(found, href || window.location.href) };
+        }
+        if (target.request) {
+            const parsed = parseAndResolve(target.request);
+            return {
+                href: parsed.href,
+                range: parsed.xpath ? `xpath=${parsed.xpath}` : parsed.selector ? `selector=${parsed.selector}` : null
+            };
+        }
+        return { href: href || window.location.href, range: `selector=${target.selector}` };
+    }
+    
+    // Resolves to { allowed: Set<string>, lifetime } (see cacheLifetime())
+    static async fetchAllowedMethods(range, href, cacheTTL = null) {
         const headers = new Headers();
         
-        // Always set Range header if selector is provided
-        if (selector) {
-            headers.set('Range', `selector=${selector}`);
+        // Always set Range header if a range is provided
+        if (range) {
+            headers.set('Range', range);
             if (window.PERMISSION_DEBUG) {
-                console.log('PermissionChecker: Setting Range header:', `selector=${selector}`);
+                console.log('PermissionChecker: Setting Range header:', range);
             }
         }
         
@@ -515,7 +2236,7 @@ class PermissionChecker {
         if (window.PERMISSION_DEBUG) {
             console.log('PermissionChecker: Making OPTIONS request', {
                 url,
-                selector,
+                range,
                 headers: [...headers.entries()]
             });
         }
@@ -532,24 +2253,22 @@ class PermissionChecker {
                 headers.set('Cache-Control', 'no-cache');
             }
             
-            const response = await fetch(url, fetchOptions);
+            const response = await fetch(url, await Auth.prepare(url, fetchOptions));
             
             if (!response.ok) {
                 throw new Error(`OPTIONS request failed with status ${response.status}`);
             }
+            PermissionChecker.acceptBatching(url, response);
+            const lifetime = PermissionChecker.cacheLifetime(response);
             
             // Parse Allow header
             const allowHeader = response.headers.get('Allow');
             if (!allowHeader) {
-                return new Set();
+                return { allowed: new Set(), lifetime };
             }
             
             // Split by comma and normalize
-            const methods = allowHeader.split(',')
-                .map(m => m.trim().toUpperCase())
-                .filter(m => m.length > 0);
-            
-            return new Set(methods);
+            return { allowed: PermissionChecker.methodSet(allowHeader.split(',')), lifetime };
             
         } catch (error) {
             console.error('PermissionChecker: Failed to fetch permissions:', error);
@@ -557,10 +2276,133 @@ class PermissionChecker {
         }
     }
     
-    static getCacheKey(methods, target, type = 'selector') {
-        // Normalize methods array to consistent string
-        const methodStr = methods.sort().join(',');
-        return `${methodStr}:${type}:${target}`;
+    static methodSet(methods) {
+        return new Set(methods
+            .map(m => String(m).trim().toUpperCase())
+            .filter(m => m.length > 0));
+    }
+    
+    // How long the server lets us keep an answer, in seconds: 0 for not at all, null when it doesn't say
+    static cacheLifetime(response) {
+        const cacheControl = (response.headers.get('Cache-Control') || '').toLowerCase();
+        const vary = (response.headers.get('Vary') || '').split(',').map(name => name.trim());
+        if (/(^|,)\s*(no-store|no-cache)\b/.test(cacheControl) || vary.includes('*')) {
+            return 0;
+        }
+        const maxAge = /(^|,)\s*max-age\s*=\s*"?(\d+)/.exec(cacheControl);
+        return maxAge ? Number(maxAge[2]) : null;
+    }
+    
+    // Remembers whether a document's server advertised batched lookups
+    static acceptBatching(url, response) {
+        const features = (response.headers.get('DAS-Batch') || '').split(',').map(feature => feature.trim().toLowerCase());
+        if (features.includes('permissions')) {
+            PermissionChecker.batching.add(PermissionChecker.documentURL(url));
+        }
+    }
+    
+    // Seeds the cache from a permission map (see above) for a document
+    static seed(permissions, href = null) {
+        const url = PermissionChecker.documentURL(href);
+        for (const [range, methods] of Object.entries(permissions || {})) {
+            if (Array.isArray(methods)) {
+                PermissionChecker.setCachedResult(PermissionChecker.getCacheKey(url, range || null), PermissionChecker.methodSet(methods), {
+                    url,
+                    range: range || null
+                });
+            }
+        }
+    }
+    
+    // The document a lookup is about; fragments never reach the server
+    static documentURL(href) {
+        const url = new URL(href || window.location.href, window.location.href);
+        url.hash = '';
+        return url.href;
+    }
+    
+    static getCacheKey(url, range) {
+        return `${PermissionChecker.session} ${url} ${range || ''}`;
+    }
+    
+    // The elements of this page a range addresses, or null when we can't tell
+    static resolveRange(range) {
+        const [, unit, value] = /^([\w-]+)=(.*)$/s.exec(range) || [];
+        try {
+            switch (unit?.toLowerCase()) {
+                case 'selector':
+                    return Array.from(document.querySelectorAll(value));
+                case 'xpath': {
+                    const result = document.evaluate(value, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+                    return Array.from({ length: result.snapshotLength }, (_, i) => result.snapshotItem(i));
+                }
+                case 'id':
+                    return [document.getElementById(value)].filter(Boolean);
+                default:
+                    return null;
+            }
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    // The elements of this page a change request affects, or null for the whole document it is sent to
+    static scopeOf(request) {
+        if (PermissionChecker.documentURL(request.href) !== PermissionChecker.documentURL()) {
+            return null;
+        }
+        const targets = PermissionChecker.resolveRange(request.range || `selector=${request.selector}`);
+        if (!targets?.length) {
+            return null;
+        }
+        // Deleting an element moves its siblings
+        return request.method === 'DELETE' ? targets.map(target => target.parentElement || target) : targets;
+    }
+    
+    /*
+        Drops what we know about a document: everything, or only the answers
+        about ranges within, or around, some of its elements. Ranges that
+        don't address anything any more are dropped too.
+    */
+    static invalidate(href, elements = null) {
+        const url = PermissionChecker.documentURL(href);
+        const affected = ({ range }) => {
+            if (!elements || !range) {
+                return true;
+            }
+            const nodes = PermissionChecker.resolveRange(range);
+            return !nodes?.length || nodes.some(node =>
+                elements.some(element => element.contains(node) || node.contains(element))
+            );
+        };
+        const dropped = new Set();
+        for (const map of [PermissionChecker.cache, PermissionChecker.inflight]) {
+            for (const [cacheKey, entry] of map) {
+                if (entry.url === url && affected(entry)) {
+                    map.delete(cacheKey);
+                    dropped.add(cacheKey);
+                }
+            }
+        }
+        PermissionChecker.announce(url, dropped);
+    }
+    
+    // Forgets everything, including the lookups on their way
+    static clear() {
+        PermissionChecker.session++;
+        PermissionChecker.cache.clear();
+        PermissionChecker.inflight.clear();
+        PermissionChecker.announce(null);
+    }
+    
+    // Checks are made again once the change has been applied here as well; dropped (cache keys) is null for everything
+    static announce(href, dropped = null) {
+        setTimeout(() => {
+            document.dispatchEvent(new CustomEvent('DASPermissionsChange', {
+                bubbles: true,
+                detail: { href, dropped }
+            }));
+        }, 0);
     }
     
     static getCachedResult(cacheKey, ttl) {
@@ -573,8 +2415,8 @@ class PermissionChecker {
         const ttlMs = ttl * 1000;
         const now = Date.now();
         
-        // Check if cache is still valid
-        if (now - cached.timestamp > ttlMs) {
+        // Check if cache is still valid, for the check and for the server
+        if (now - cached.timestamp > ttlMs || now >= cached.expires) {
             PermissionChecker.cache.delete(cacheKey);
             return null;
         }
@@ -582,23 +2424,131 @@ class PermissionChecker {
         return cached.allowed;
     }
     
-    static setCachedResult(cacheKey, allowedMethods) {
+    static setCachedResult(cacheKey, allowedMethods, { url = null, range = null, lifetime = null } = {}) {
+        const timestamp = Date.now();
         PermissionChecker.cache.set(cacheKey, {
             allowed: allowedMethods,
-            timestamp: Date.now()
+            timestamp,
+            expires: lifetime === null ? Infinity : timestamp + lifetime * 1000,
+            url,
+            range
         });
     }
 }
 
+// Permission maps the server embedded in the page
+for (const script of document.querySelectorAll(`script[type="${PERMISSIONS_CONTENT_TYPE}"]`)) {
+    try {
+        PermissionChecker.seed(JSON.parse(script.textContent));
+    } catch (error) {
+        console.error('PermissionChecker: Invalid embedded permissions:', error);
+    }
+}
+
+window.server.can.seed = (permissions, options = {}) => PermissionChecker.seed(permissions, options.href);
+
+// can.invalidate() forgets about the page, can.invalidate("/other") about another document,
+// and can.invalidate(element) or can.invalidate("#(selector=#list)") about part of one
+window.server.can.invalidate = (target) => {
+    if (target instanceof Element) {
+        PermissionChecker.invalidate(window.location.href, [target]);
+        return;
+    }
+    const { href, selector, xpath } = parseAndResolve(target || window.location.href);
+    const range = xpath ? `xpath=${xpath}` : selector ? `selector=${selector}` : null;
+    const samePage = PermissionChecker.documentURL(href) === PermissionChecker.documentURL();
+    const elements = range && samePage ? PermissionChecker.resolveRange(range) : null;
+    PermissionChecker.invalidate(href, elements?.length ? elements : null);
+};
+
+window.server.can.clear = () => PermissionChecker.clear();
+
+// What was allowed before doesn't tell us what is allowed now
+document.addEventListener('HTTPAuthChange', () => PermissionChecker.clear());
+
+// Permission changes pushed by the server: on some elements, in a whole document, or everywhere
+document.addEventListener('DASStreamPermissionChange', (event) => {
+    const { href, selectors } = event.detail;
+    if (!href && !selectors.length) {
+        PermissionChecker.clear();
+        return;
+    }
+    const url = href || window.location.href;
+    const samePage = PermissionChecker.documentURL(url) === PermissionChecker.documentURL();
+    const elements = samePage
+        ? selectors.flatMap(selector => PermissionChecker.resolveRange(`selector=${selector}`) || [])
+        : [];
+    PermissionChecker.invalidate(url, elements.length ? elements : null);
+});
+
+// Changes pushed by the server, once they have been applied
+document.addEventListener('DASStreamUpdate', (event) => {
+    const { update, result, affected = [] } = event.detail;
+    const structural = ['DELETE', 'INSERT-BEFORE', 'INSERT-AFTER', 'MOVE'].includes(update.method?.toUpperCase());
+    const elements = structural
+        ? affected.map(chain => chain[1] || chain[0])
+        : [affected[0]?.[0], result.element];
+    PermissionChecker.invalidate(window.location.href, elements.filter(element => element?.isConnected));
+});
+
+// Check for DOM-aware server
+async function probeServer(retried = false) {
+    try {
+        const href = window.location.href;
+        const optionsRequest = await fetch(href, await Auth.prepare(href, {
+            method: "OPTIONS",
+        }));
+        // A server that wants to know who is asking is asked again once they have logged in
+        if ((optionsRequest.status === 401 || optionsRequest.status === 403) && !retried &&
+            await Auth.required(optionsRequest, { method: "OPTIONS", href }, null)) {
+            return probeServer(true);
+        }
+
+        if (optionsRequest.ok) {
+            RangeUnits.accept(window.location.href, optionsRequest.headers.get("Accept-Ranges"));
+            PermissionChecker.acceptBatching(window.location.href, optionsRequest);
+            return RangeUnits.supported(window.location.href);
+        }
+        console.warn('DOM-aware primitives: OPTIONS request returned non-OK status:', optionsRequest.status);
+        return false;
+    } catch (error) {
+        console.error('DOM-aware primitives: Failed to check server capabilities:', error);
+        return false;
+    }
+}
+
+window.location.server.DASAware = await probeServer();
+
+if (window.location.server.DASAware) {
+    const evt = new CustomEvent("DASAvailable", { bubbles: true, detail: {} });
+    document.dispatchEvent(evt);
+} else {
+    const evt = new CustomEvent("DASUnavailable", { bubbles: true, detail: {} });
+    document.dispatchEvent(evt);
+}
+
 /*
     http-can WebComponent
     A custom element that conditionally shows content based on HTTP method permissions
+
+    method="PUT, DELETE" needs both methods, method="PUT|PATCH" (or require="any"
+    with commas) either. can="DELETE on closest(tr) and POST on #list" takes a
+    permission expression instead, whose checks may each be about another target;
+    see permission-expression/.
+
+    <template slot="pending">, <template slot="else"> and <template slot="error">
+    children are shown instead of the content while checking, when the content
+    isn't shown, and when the check failed. With a skeleton attribute, the content
+    is laid out but hidden and inert while checking. The state attribute says
+    where the check is: pending, allowed, denied or error.
 */
 
+const HTTP_CAN_SLOTS = ['pending', 'else', 'error'];
+
 class HttpCan extends HTMLElement {
     // Observe these attributes for changes
     static get observedAttributes() {
-        return ['method', 'selector', 'cache-ttl', 'href', 'closest'];
+        return ['method', 'selector', 'xpath', 'cache-ttl', 'href', 'closest', 'can', 'require'];
     }
 
     originalContent;
@@ -606,147 +2556,234 @@ class HttpCan extends HTMLElement {
     constructor() {
         super();
         this.checkInProgress = false;
+        this.checkPending = false;
         this.originalContent = null;
+        this.slotTemplates = new Map();
+        this.skeleton = null;
+        // The cache keys of the answers the last check was made from
+        this.answeredBy = null;
     }
     
     connectedCallback() {
-        // Store original content if not already stored
+        // Store original content if not already stored, keeping the slot templates apart from it
         if (!this.originalContent) {
-            this.originalContent = Array.from(this.childNodes).map(node => node.cloneNode(true));
+            const content = [];
+            for (const node of this.childNodes) {
+                const slot = node.localName === 'template' ? node.getAttribute('slot') : null;
+                if (HTTP_CAN_SLOTS.includes(slot) && !this.slotTemplates.has(slot)) {
+                    this.slotTemplates.set(slot, node.cloneNode(true));
+                } else {
+                    content.push(node.cloneNode(true));
+                }
+            }
+            this.originalContent = content;
         }
         
-        // retain original children, and remove them from the DOM for now.
-        this.hideContent();
+        // retain original children, and show what there is to show while checking
+        this.render('pending');
 
         // Check permissions when element is added to DOM
         this.checkPermissions();
         
-        // Listen for HTTPAuthChange events
-        this.authChangeHandler = this.handleAuthorizationChange.bind(this);
-        document.addEventListener('HTTPAuthChange', this.authChangeHandler);
+        // Listen for DASPermissionsChange events (sent after changes and HTTPAuthChange)
+        this.permissionsChangeHandler = this.handlePermissionsChange.bind(this);
+        document.addEventListener('DASPermissionsChange', this.permissionsChangeHandler);
     }
     
     disconnectedCallback() {
         // Clean up event listener when element is removed
-        if (this.authChangeHandler) {
-            document.removeEventListener('HTTPAuthChange', this.authChangeHandler);
+        if (this.permissionsChangeHandler) {
+            document.removeEventListener('DASPermissionsChange', this.permissionsChangeHandler);
         }
     }
     
-    handleAuthorizationChange(event) {
-        // Force a fresh check by clearing cache and re-checking permissions
-        this.checkPermissions(true); // Pass true to indicate fresh check needed
+    handlePermissionsChange(event) {
+        // Only checks made from an answer that was dropped, or never kept, are made again
+        const { href, dropped } = event.detail;
+        if (this.answeredBy && dropped) {
+            if (this.answeredBy.some(cacheKey => dropped.has(cacheKey) || !PermissionChecker.cache.has(cacheKey))) {
+                this.checkPermissions();
+            }
+        } else if (!href || this.hasAttribute('can') || PermissionChecker.documentURL(this.getAttribute('href')) === href) {
+            this.checkPermissions();
+        }
     }
     
     attributeChangedCallback(name, oldValue, newValue) {
-        // Re-check permissions when relevant attributes change
-        if (oldValue !== newValue && (name === 'method' || name === 'selector' || name === 'href' || name === 'closest')) {
+        // Re-check permissions when relevant attributes change; the initial ones are checked once connected
+        if (this.originalContent && oldValue !== newValue && name !== 'cache-ttl') {
+            this.render('pending');
             this.checkPermissions();
         }
     }
     
-    async basicPermissionCheck(methodsToCheck, selector, href, cacheTTL) {
-        const allowedMethods = await PermissionChecker.checkPermissions(methodsToCheck, {
-            selector,
-            href,
-            cacheTTL
-        });
-        // Check if ALL requested methods are allowed (AND logic)
-        const normalizedMethods = methodsToCheck.map(m => m.toUpperCase());
-        const allMethodsAllowed = normalizedMethods.every(m => allowedMethods.has(m));
-           
+    // Whether the content is shown; http-cannot turns this around
+    showsContent(allMethodsAllowed) {
         return allMethodsAllowed;
     }
 
+    // Without an error template, a failed check hides the content (fail-closed)
+    showsContentOnError() {
+        return false;
+    }
+
+    failedCheck(error, selector, href) {
+        this.answeredBy = null;
+        this.render('error');
+        this.dispatchEvent(new CustomEvent('http-can-error', {
+            bubbles: true,
+            detail: { error: error.message, selector, href }
+        }));
+    }
+
     async checkPermissions(forceFresh = false) {
         const method = this.getAttribute('method') || 'GET';  // Default to GET if not specified
+        const expression = this.getAttribute('can') || method;
         let selector = this.getAttribute('selector');
+        let xpath = this.getAttribute('xpath');
         const closest = this.getAttribute('closest');
         let href = this.getAttribute('href');
         const cacheTTL = forceFresh ? 0 : parseInt(this.getAttribute('cache-ttl') || PermissionChecker.DEFAULT_CACHE_TTL);
+        let range = null;
         
         // Handle 'closest' attribute
-        if (closest && !selector) {
+        if (closest && !selector && !xpath) {
             const targetElement = this.closest(closest);
             if (targetElement) {
-                // Generate selector for the found element
+                // Generate selector for the found element, and address it in a unit the server accepts
                 selector = targetElement.selector;
+                range = RangeUnits.forElement(targetElement, href || window.location.href);
             }
         }
         
         // If href contains selector-request syntax, parse it
-        if (href && href.includes('#(selector=')) {
-            const parsed = parseAndResolve(href);
-            href = parsed.href;
-            // If both selector attribute and href selector exist, prefer the explicit selector attribute
-            if (!selector && parsed.selector) {
-                selector = parsed.selector;
+        if (href && href.includes('#(')) {
+            try {
+                const parsed = parseAndResolve(href);
+                href = parsed.href;
+                // If both selector attribute and href selector exist, prefer the explicit selector attribute
+                if (!selector && !xpath) {
+                    selector = parsed.selector;
+                    xpath = parsed.xpath;
+                }
+            } catch (error) {
+                // A malformed href fails like any other check
+                this.failedCheck(error, selector, href);
+                return;
             }
         }
         
-        // At least one of selector or href is required
-        if (!selector && !href) {
+        range = range || (xpath ? `xpath=${xpath}` : selector ? `selector=${selector}` : null);
+        
+        let query;
+        try {
+            query = parsePermissionExpression(expression, { require: this.getAttribute('require') || 'all' });
+        } catch (error) {
+            this.failedCheck(error, selector, href);
+            return;
+        }
+        
+        // Checks without their own target need a selector or href
+        if (!range && !href && queryChecks(query).some(check => !check.on)) {
+            this.answeredBy = null;
+            this.setSkeleton(false);
             this.hideContent();
+            this.removeAttribute('state');
             return;
         }
         
-        // Prevent concurrent checks
+        // Prevent concurrent checks, checking again once this one is done
         if (this.checkInProgress) {
+            this.checkPending = true;
             return;
         }
         
         this.checkInProgress = true;
         
         try {
-            // Get list of methods to check (comma-separated)
-            const methodsToCheck = method.split(',').map(m => m.trim());
-            
             if (window.HTTP_CAN_DEBUG) {
-                console.log('http-can: Checking permissions', { methods: methodsToCheck, selector, href });
+                console.log(`${this.localName}: Checking permissions`, { expression, query, selector, href });
             }
             
-            // Use shared PermissionChecker
-            const allowedMethods = await PermissionChecker.checkPermissions(methodsToCheck, {
-                selector,
-                href,
-                cacheTTL
-            });
-
-            const allMethodsAllowed = await this.basicPermissionCheck(methodsToCheck, selector, href, cacheTTL);
-                        
-            if (allMethodsAllowed) {
-                this.showContent();
-                this.dispatchEvent(new CustomEvent('http-can', {
-                    bubbles: true,
-                    detail: { 
-                        methods: methodsToCheck,
-                        allowed: Array.from(allowedMethods), 
-                        selector, 
-                        href 
-                    }
-                }));
-            } else {
-                this.hideContent();
-                this.dispatchEvent(new CustomEvent('http-cannot', {
-                    bubbles: true,
-                    detail: {
-                        methods: methodsToCheck,                         
-                        allowed: Array.from(allowedMethods),
-                        selector,
-                        href
-                    }
-                }));
-            }            
-        } catch (error) {
-            // On error, hide content (fail-closed)
-            this.hideContent();
-            this.dispatchEvent(new CustomEvent('http-can-error', {
+            // Use shared PermissionChecker; each check may be about a different target
+            const { allowed, checks } = await PermissionChecker.evaluate(query, (on) =>
+                PermissionChecker.resolveTarget(on, { href, range, element: this }), cacheTTL);
+            this.answeredBy = checks.map(check =>
+                PermissionChecker.getCacheKey(PermissionChecker.documentURL(check.href), check.range));
+            
+            this.render(allowed ? 'allowed' : 'denied');
+            // methods and allowed describe the element's own target, as they did before expressions
+            const own = checks.find(check => !check.on) || checks[0];
+            this.dispatchEvent(new CustomEvent(allowed ? 'http-can' : 'http-cannot', {
                 bubbles: true,
-                detail: { error: error.message, selector, href }
+                detail: {
+                    expression,
+                    methods: [...new Set(checks.filter(check => check.on === own.on).flatMap(check => check.methods))],
+                    allowed: own.allowed,
+                    checks,
+                    selector,
+                    href
+                }
             }));
+        } catch (error) {
+            this.failedCheck(error, selector, href);
         } finally {
             this.checkInProgress = false;
+            if (this.checkPending) {
+                this.checkPending = false;
+                this.checkPermissions(forceFresh);
+            }
+        }
+    }
+    
+    // Reflects the state, and shows the content or the slot template that goes with it
+    render(state) {
+        // Content already showing for this state is kept as it is, with what has been typed into it
+        if (state !== 'pending' && state === this.getAttribute('state')) {
+            return;
+        }
+        this.setAttribute('state', state);
+        this.setSkeleton(state === 'pending' && this.hasAttribute('skeleton'));
+        if (state === 'pending' && this.hasAttribute('skeleton')) {
+            this.showContent();
+        } else if (state === 'pending') {
+            this.showTemplate('pending') || this.hideContent();
+        } else if (state === 'error') {
+            this.showTemplate('error') || (this.showsContentOnError() ? this.showContent() : this.hideContent());
+        } else if (this.showsContent(state === 'allowed')) {
+            this.showContent();
+        } else {
+            this.showTemplate('else') || this.hideContent();
+        }
+    }
+    
+    // The skeleton takes up the content's space without being seen or used
+    setSkeleton(on) {
+        if (on === !!this.skeleton) {
+            return;
+        }
+        if (on) {
+            this.skeleton = { visibility: this.style.visibility, inert: this.hasAttribute('inert') };
+            this.style.visibility = 'hidden';
+            this.setAttribute('inert', '');
+            this.setAttribute('aria-busy', 'true');
+        } else {
+            this.style.visibility = this.skeleton.visibility;
+            this.toggleAttribute('inert', this.skeleton.inert);
+            this.removeAttribute('aria-busy');
+            this.skeleton = null;
+        }
+    }
+    
+    // Shows a slot template's content in place of the element's; false when there is no such template
+    showTemplate(slot) {
+        const template = this.slotTemplates.get(slot);
+        if (!template) {
+            return false;
         }
+        this.hideContent();
+        this.appendChild(template.content.cloneNode(true));
+        return true;
     }
     
     showContent() {
@@ -782,104 +2819,431 @@ customElements.define('http-can', HttpCan);
 */
 
 class HttpCannot extends HttpCan {
-    async basicPermissionCheck(methodsToCheck, selector, href, cacheTTL) {
-        return !(await super.basicPermissionCheck(methodsToCheck, selector, href, cacheTTL));
+    showsContent(allMethodsAllowed) {
+        return !allMethodsAllowed;
     }
     
-    async checkPermissions(forceFresh = false) {
-        const method = this.getAttribute('method') || 'GET';  // Default to GET if not specified
-        let selector = this.getAttribute('selector');
-        const closest = this.getAttribute('closest');
-        let href = this.getAttribute('href');
-        const cacheTTL = forceFresh ? 0 : parseInt(this.getAttribute('cache-ttl') || PermissionChecker.DEFAULT_CACHE_TTL);
-        
-        // Handle 'closest' attribute
-        if (closest && !selector) {
-            const targetElement = this.closest(closest);
-            if (targetElement) {
-                // Generate selector for the found element
-                selector = targetElement.selector;
-            }
+    // On error, show content for http-cannot (fail-open)
+    showsContentOnError() {
+        return true;
+    }
+}
+
+// Register the custom element
+customElements.define('http-cannot', HttpCannot);
+
+/*
+    das-include WebComponent
+    Transcludes the fragment a Selector-Request in its src attribute
+    addresses, in place of its own children (which are shown until it
+    arrives). With the lazy attribute the fragment is only fetched once the
+    element scrolls into view; refresh() fetches it again.
+*/
+class DasInclude extends HTMLElement {
+    static get observedAttributes() {
+        return ['src'];
+    }
+
+    constructor() {
+        super();
+        this.observer = null;
+        this.loaded = false;
+        this.loading = null;
+    }
+
+    connectedCallback() {
+        if (this.loaded || this.loading || this.observer) {
+            return;
         }
-        
-        // If href contains selector-request syntax, parse it
-        if (href && href.includes('#(selector=')) {
-            const parsed = parseAndResolve(href);
-            href = parsed.href;
-            // If both selector attribute and href selector exist, prefer the explicit selector attribute
-            if (!selector && parsed.selector) {
-                selector = parsed.selector;
-            }
+        if (this.hasAttribute('lazy') && 'IntersectionObserver' in window) {
+            this.observer = new IntersectionObserver(entries => {
+                if (entries.some(entry => entry.isIntersecting)) {
+                    this.refresh();
+                }
+            });
+            this.observer.observe(this);
+        } else {
+            this.refresh();
         }
-        
-        // At least one of selector or href is required
-        if (!selector && !href) {
-            this.hideContent();
+    }
+
+    disconnectedCallback() {
+        this.stopObserving();
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (!this.isConnected || newValue === null || oldValue === newValue) {
             return;
         }
-        
-        // Prevent concurrent checks
-        if (this.checkInProgress) {
+        // A lazy include still waiting to be seen fetches the new src once it is; observing
+        // again reports whether it already is
+        if (this.observer) {
+            this.observer.unobserve(this);
+            this.observer.observe(this);
             return;
         }
-        
-        this.checkInProgress = true;
-        
+        // Upgrading a lazy include: connectedCallback, which comes next, starts observing it
+        if (this.hasAttribute('lazy') && 'IntersectionObserver' in window && !this.loaded && !this.loading) {
+            return;
+        }
+        this.refresh();
+    }
+
+    stopObserving() {
+        this.observer?.disconnect();
+        this.observer = null;
+    }
+
+    // Resolves to the included nodes, or null when the fragment couldn't be fetched
+    async refresh() {
+        const src = this.getAttribute('src');
+        if (!src) {
+            return null;
+        }
+        this.stopObserving();
+
+        const loading = window.server.fetch(src);
+        this.loading = loading;
+        this.setAttribute('aria-busy', 'true');
         try {
-            // Get list of methods to check (comma-separated)
-            const methodsToCheck = method.split(',').map(m => m.trim());
-            
-            if (window.HTTP_CAN_DEBUG) {
-                console.log('http-cannot: Checking permissions', { methods: methodsToCheck, selector, href });
+            const nodes = await loading;
+            // A later refresh has taken over
+            if (this.loading !== loading) {
+                return nodes;
             }
-            
-            // Use shared PermissionChecker to get actual permissions
-            const allowedMethods = await PermissionChecker.checkPermissions(methodsToCheck, {
-                selector,
-                href,
-                cacheTTL
-            });
-            
-            // Check if ALL requested methods are allowed
-            const normalizedMethods = methodsToCheck.map(m => m.toUpperCase());
-            const allMethodsAllowed = normalizedMethods.every(m => allowedMethods.has(m));
-            
-            // For http-cannot, we show content when permissions are DENIED
-            if (!allMethodsAllowed) {
-                this.showContent();
-                this.dispatchEvent(new CustomEvent('http-cannot', {
+            this.replaceChildren(...nodes);
+            this.loaded = true;
+            this.dispatchEvent(new CustomEvent('das-include-load', {
+                bubbles: true,
+                detail: { src, nodes }
+            }));
+            return nodes;
+        } catch (error) {
+            if (this.loading === loading) {
+                console.error('das-include: Failed to include', src, error);
+                this.dispatchEvent(new CustomEvent('das-include-error', {
                     bubbles: true,
-                    detail: { 
-                        methods: methodsToCheck,
-                        allowed: Array.from(allowedMethods), 
-                        selector, 
-                        href 
-                    }
+                    detail: { src, error: error.message, response: error.response || null }
                 }));
-            } else {
-                this.hideContent();
-                this.dispatchEvent(new CustomEvent('http-can', {
-                    bubbles: true,
-                    detail: {
-                        methods: methodsToCheck,                         
-                        allowed: Array.from(allowedMethods),
-                        selector,
-                        href
+            }
+            return null;
+        } finally {
+            if (this.loading === loading) {
+                this.loading = null;
+                this.removeAttribute('aria-busy');
+            }
+        }
+    }
+}
+
+customElements.define('das-include', DasInclude);
+
+/*
+    Declarative verbs
+    Markup can run a verb without any glue code:
+
+        <button das-method="DELETE" das-target="closest li" das-confirm="Delete this item?">
+
+    das-method   the verb to call
+    das-target   the element to call it on: "closest <selector>", "find <selector>",
+                 a Selector-Request such as "#(selector=#list)" or "#(xpath=//ul[1])",
+                 or a selector
+                 (defaults to the element itself)
+    das-trigger  the event that runs the verb (click, or submit for forms)
+    das-confirm  a message the user has to confirm first
+    das-source   the element whose HTML is sent, referenced like das-target
+                 (the content of a <template> is sent without the template)
+    das-optimistic  apply the change before the server answers
+*/
+const DECLARATIVE_METHODS = ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE"];
+
+/*
+    DAS forms
+    A <form das-method="PUT|POST"> sends its data as HTML instead of as a form
+    submission:
+
+        <form das-method="POST" das-target="#todo-list" das-template="#todo-item">
+
+    das-template  a <template> rendered with the form data and sent as the body;
+                  required for POST. Without one, PUT sends a copy of the target
+                  with its fields filled in
+
+    Fields are filled by name: [data-field="name"] elements get the value as
+    text, and form controls named "name" get it as their value. The form
+    reflects its progress in das-state (invalid, pending, ok or error), and
+    the text of an error response is shown in its [das-errors] element.
+*/
+class DASForm {
+    static render(form, target, method) {
+        const data = new FormData(form);
+        const templateReference = form.getAttribute("das-template");
+        if (templateReference) {
+            const template = resolveReference(form, templateReference);
+            if (!(template instanceof HTMLTemplateElement)) {
+                throw new Error(`das-template does not reference a <template>: ${templateReference}`);
+            }
+            const fragment = template.content.cloneNode(true);
+            DASForm.fill(fragment, data);
+            return fragment;
+        }
+        // A copy of the target only replaces it; POSTed, it would be appended inside itself
+        if (method !== "PUT") {
+            throw new Error(`A das-method="${method}" form needs a das-template to render what it sends`);
+        }
+        const copy = target.cloneNode(true);
+        DASForm.fill(copy, data);
+        return copy;
+    }
+
+    static fill(root, data) {
+        const values = name => data.getAll(name).filter(value => typeof value === "string");
+
+        for (const element of root.querySelectorAll("[data-field]")) {
+            const name = element.getAttribute("data-field");
+            if (data.has(name)) {
+                element.textContent = values(name).join(", ");
+            }
+        }
+
+        // Set attributes rather than properties so that the values are serialized
+        for (const control of root.querySelectorAll("input[name], select[name], textarea[name]")) {
+            const name = control.getAttribute("name");
+            if (!data.has(name) && control.type !== "checkbox") {
+                continue;
+            }
+            const controlValues = values(name);
+            if (control.type === "checkbox" || control.type === "radio") {
+                control.toggleAttribute("checked", controlValues.includes(control.value));
+            } else if (control.localName === "select") {
+                for (const option of control.options) {
+                    option.toggleAttribute("selected", controlValues.includes(option.value));
+                }
+            } else if (control.localName === "textarea") {
+                control.textContent = controlValues[0] ?? "";
+            } else if (control.type !== "file" && control.type !== "password") {
+                control.setAttribute("value", controlValues[0] ?? "");
+            }
+        }
+    }
+
+    // Disable the controls that aren't already, and return a function to undo it
+    static disable(form) {
+        const controls = Array.from(form.elements).filter(control => !control.disabled);
+        controls.forEach(control => { control.disabled = true; });
+        return () => controls.forEach(control => { control.disabled = false; });
+    }
+
+    // The text of an error page; none of the server's markup is put into the page
+    static errorText(html) {
+        const doc = new DOMParser().parseFromString(html, "text/html");
+        doc.body.querySelectorAll("script, style, template").forEach(node => node.remove());
+        return doc.body.textContent.replace(/\s+/g, " ").trim();
+    }
+
+    static async showResult(form, response, error) {
+        const errors = form.querySelector("[das-errors]");
+        if (response?.ok) {
+            form.setAttribute("das-state", "ok");
+            if (errors) {
+                errors.replaceChildren();
+            }
+            if (form.getAttribute("das-method").trim().toUpperCase() === "POST") {
+                form.reset();
+            }
+            return;
+        }
+
+        form.setAttribute("das-state", "error");
+        if (!errors) {
+            return;
+        }
+        if (!response) {
+            errors.textContent = error?.message || "Request failed";
+            return;
+        }
+        const contentType = response.headers.get("Content-Type") || "";
+        const body = contentType.match(/text\/(html|plain)/) ? await response.clone().text() : "";
+        const text = contentType.includes("text/html") ? DASForm.errorText(body) : body;
+        errors.textContent = text || `${response.status} ${response.statusText}`.trim();
+    }
+}
+
+function resolveReference(origin, reference) {
+    reference = (reference || "").trim();
+    if (!reference || reference === "this") {
+        return origin;
+    }
+    if (reference.startsWith("closest ")) {
+        return origin.closest(reference.slice(8).trim());
+    }
+    if (reference.startsWith("find ")) {
+        return origin.querySelector(reference.slice(5).trim());
+    }
+    if (reference.includes("#(")) {
+        const { href, selector, xpath } = parseAndResolve(reference);
+        if (!sameDocument(href, window.location.href)) {
+            console.warn('DOM-aware primitives: Only elements of this document can be referenced:', reference);
+            return null;
+        }
+        return xpath ? elementByXPath(xpath) : document.querySelector(selector);
+    }
+    return document.querySelector(reference);
+}
+
+class DeclarativeVerbs {
+    // element -> { trigger, listener }
+    static bound = new WeakMap();
+    static pending = new WeakSet();
+
+    static start() {
+        const observer = new MutationObserver(records => {
+            for (const record of records) {
+                if (record.type === "attributes") {
+                    DeclarativeVerbs.bind(record.target);
+                    continue;
+                }
+                for (const node of record.addedNodes) {
+                    if (node.nodeType === Node.ELEMENT_NODE) {
+                        DeclarativeVerbs.bindAll(node);
                     }
-                }));
-            }            
+                }
+            }
+        });
+        observer.observe(document.documentElement, {
+            subtree: true,
+            childList: true,
+            attributes: true,
+            attributeFilter: ["das-method", "das-trigger"],
+        });
+        DeclarativeVerbs.bindAll(document.documentElement);
+    }
+
+    static bindAll(root) {
+        if (root.hasAttribute("das-method")) {
+            DeclarativeVerbs.bind(root);
+        }
+        root.querySelectorAll("[das-method]").forEach(DeclarativeVerbs.bind);
+    }
+
+    static bind(element) {
+        DeclarativeVerbs.unbind(element);
+        if (!element.hasAttribute("das-method")) {
+            return;
+        }
+        const trigger = element.getAttribute("das-trigger") ||
+            (element instanceof HTMLFormElement ? "submit" : "click");
+        const listener = event => DeclarativeVerbs.invoke(element, event);
+        element.addEventListener(trigger, listener);
+        DeclarativeVerbs.bound.set(element, { trigger, listener });
+    }
+
+    static unbind(element) {
+        const binding = DeclarativeVerbs.bound.get(element);
+        if (binding) {
+            element.removeEventListener(binding.trigger, binding.listener);
+            DeclarativeVerbs.bound.delete(element);
+        }
+    }
+
+    static async invoke(element, event) {
+        if (event.cancelable && (event.type === "click" || event.type === "submit")) {
+            event.preventDefault();
+        }
+        // Ignore repeated triggers while a request is still running
+        if (DeclarativeVerbs.pending.has(element)) {
+            return;
+        }
+
+        const method = (element.getAttribute("das-method") || "").trim().toUpperCase();
+        if (!DECLARATIVE_METHODS.includes(method)) {
+            console.error('DOM-aware primitives: Unknown das-method:', method);
+            return;
+        }
+
+        const message = element.getAttribute("das-confirm");
+        if (message && !window.confirm(message)) {
+            return;
+        }
+
+        const isForm = element instanceof HTMLFormElement;
+        // Submit events only fire for valid forms, but other triggers may not have checked
+        if (isForm && !element.noValidate && !element.reportValidity()) {
+            return;
+        }
+
+        let target;
+        let source;
+        try {
+            target = resolveReference(element, element.getAttribute("das-target"));
+            if (isForm && target) {
+                source = DASForm.render(element, target, method);
+            } else if (element.hasAttribute("das-source")) {
+                source = resolveReference(element, element.getAttribute("das-source"));
+                if (source instanceof HTMLTemplateElement) {
+                    source = source.content.cloneNode(true);
+                }
+            }
         } catch (error) {
-            // On error, show content for http-cannot (fail-open)
-            this.showContent();
-            this.dispatchEvent(new CustomEvent('http-can-error', {
-                bubbles: true,
-                detail: { error: error.message, selector, href }
-            }));
+            console.error('DOM-aware primitives: Failed to prepare declarative request:', error);
+            if (isForm) {
+                await DASForm.showResult(element, null, error);
+            }
+            return;
+        }
+        if (!target) {
+            console.warn('DOM-aware primitives: das-target matched no element:', element.getAttribute("das-target"));
+            return;
+        }
+
+        const options = { optimistic: element.hasAttribute("das-optimistic") };
+        DeclarativeVerbs.pending.add(element);
+        element.setAttribute("aria-busy", "true");
+        let enable = null;
+        if (isForm) {
+            element.setAttribute("das-state", "pending");
+            enable = DASForm.disable(element);
+        }
+
+        let response = null;
+        let failure = null;
+        try {
+            switch (method) {
+                case "POST":
+                    response = await target.POST(source, options);
+                    break;
+                case "PUT":
+                    response = await target.PUT(source, options);
+                    break;
+                case "PATCH":
+                    response = await target.PATCH(source);
+                    break;
+                case "DELETE":
+                    response = await target.DELETE(options);
+                    break;
+                default:
+                    response = await target[method]();
+            }
+        } catch (error) {
+            // The verb has already logged the error and dispatched DASError
+            failure = error;
         } finally {
-            this.checkInProgress = false;
+            DeclarativeVerbs.pending.delete(element);
+            element.removeAttribute("aria-busy");
+            enable?.();
+        }
+
+        if (isForm) {
+            await DASForm.showResult(element, response, failure);
         }
     }
 }
 
-// Register the custom element
-customElements.define('http-cannot', HttpCannot);
\ No newline at end of file
+DeclarativeVerbs.start();
+
+// invalid events don't bubble, so listen for them on the way down
+document.addEventListener("invalid", event => {
+    const form = event.target.form;
+    if (form?.hasAttribute("das-method")) {
+        form.setAttribute("das-state", "invalid");
+    }
+}, true);
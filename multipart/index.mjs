@@ -0,0 +1,96 @@
+/**
+ * Multipart Parser
+ *
+ * Splits a multipart/mixed body (RFC 2046) into its parts, each with its
+ * own headers and body. Used by document.GETAll and DELETEAll, where every
+ * part is one of the elements a selector matched.
+ *
+ * Example:
+ *
+ *   --frontier
+ *   Content-Type: text/html
+ *   Content-Range: selector=#list > li:nth-child(1)
+ *
+ *   <li>One</li>
+ *   --frontier--
+ *
+ * -> [{ headers: Headers { content-type, content-range }, body: '<li>One</li>' }]
+ */
+
+/**
+ * Extracts the boundary parameter of a multipart media type
+ * @param {string} contentType - The Content-Type header value
+ * @returns {string|null} The boundary, or null when there is none
+ */
+export function getBoundary(contentType) {
+    const match = /;\s*boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+    return match ? (match[1] || match[2]) : null;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function parseHeaders(text) {
+    const headers = new Headers();
+    let name = null;
+    for (const line of text.split(/\r?\n/)) {
+        if (/^[ \t]/.test(line) && name) {
+            // Folded continuation of the previous header
+            const previous = headers.get(name);
+            headers.set(name, `${previous} ${line.trim()}`);
+            continue;
+        }
+        const colon = line.indexOf(':');
+        if (colon > 0) {
+            name = line.slice(0, colon).trim();
+            headers.append(name, line.slice(colon + 1).trim());
+        }
+    }
+    return headers;
+}
+
+/**
+ * Splits a multipart body into parts
+ * @param {string} body - The multipart body
+ * @param {string} contentType - The Content-Type header value, for its boundary
+ * @returns {Array<{headers: Headers, body: string}>} The parts, in order
+ */
+export function parseMultipart(body, contentType) {
+    const boundary = getBoundary(contentType);
+    if (!boundary) {
+        throw new Error(`Multipart: no boundary in "${contentType}"`);
+    }
+
+    // A delimiter is the boundary at the start of a line, and the line break before it belongs to it
+    const delimiter = new RegExp(`(?:^|\\r?\\n)--${escapeRegExp(boundary)}`);
+    const sections = body.split(delimiter);
+
+    const parts = [];
+    // The first section is the preamble, and the close delimiter ends with "--"
+    for (const section of sections.slice(1)) {
+        if (section.startsWith('--')) {
+            break;
+        }
+        // Skip the rest of the delimiter line
+        const content = section.replace(/^[ \t]*\r?\n/, '');
+        const blankLine = /\r?\n\r?\n/.exec(content);
+        let headerText;
+        let partBody;
+        if (/^\r?\n/.test(content)) {
+            // No headers at all
+            headerText = '';
+            partBody = content.replace(/^\r?\n/, '');
+        } else if (blankLine) {
+            headerText = content.slice(0, blankLine.index);
+            partBody = content.slice(blankLine.index + blankLine[0].length);
+        } else {
+            headerText = content;
+            partBody = '';
+        }
+        parts.push({ headers: parseHeaders(headerText), body: partBody });
+    }
+    return parts;
+}
+
+export default parseMultipart;
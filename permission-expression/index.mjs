@@ -0,0 +1,279 @@
+/**
+ * Permission Expressions
+ *
+ * Parses the boolean permission expressions <http-can> and server.can accept,
+ * into structured queries, and evaluates those once their checks are answered.
+ *
+ * Examples:
+ * - PUT -> { methods: ['PUT'] }
+ * - PUT, DELETE -> { methods: ['PUT', 'DELETE'] }
+ * - PUT|PATCH -> { any: [{ methods: ['PUT'] }, { methods: ['PATCH'] }] }
+ * - DELETE on closest(tr) and POST on #list
+ *   -> { all: [{ methods: ['DELETE'], on: 'closest(tr)' }, { methods: ['POST'], on: '#list' }] }
+ * - not DELETE on /archive#(selector=li) -> { not: { methods: ['DELETE'], on: '/archive#(selector=li)' } }
+ *
+ * "not" binds tighter than "and", which binds tighter than "or", and
+ * parentheses group. In a list of methods "|" means any of them and ","
+ * all of them, "|" binding tighter. A check without "on" is about the
+ * target of the group it is in, if that has one, and otherwise about the
+ * target the expression is used with.
+ */
+
+/**
+ * Thrown for an expression or query that can't be parsed
+ * - code: 'unexpected-token', 'missing-target', 'unbalanced-parentheses'
+ *   or 'invalid-query'
+ * - position: index in the expression where the problem was found
+ */
+export class PermissionExpressionError extends Error {
+    constructor(message, { code, position = null, expression = null } = {}) {
+        super(`Permission expression: ${message}`);
+        this.name = 'PermissionExpressionError';
+        this.code = code;
+        this.position = position;
+        this.expression = expression;
+    }
+}
+
+const KEYWORDS = ['and', 'or', 'not', 'on'];
+
+const METHOD = /^[A-Za-z][A-Za-z-]*/;
+
+// A target that is a URL or Selector-Request, rather than a selector in the target's document
+const REQUEST_TARGET = /^(\/|\.\.?\/|\?|[A-Za-z][\w+.-]*:\/\/)|#\(/;
+
+class Parser {
+    constructor(expression, { require }) {
+        this.expression = expression;
+        this.position = 0;
+        this.listOperator = require === 'any' ? 'any' : 'all';
+    }
+
+    error(message, code, position = this.position) {
+        return new PermissionExpressionError(message, { code, position, expression: this.expression });
+    }
+
+    skipSpace() {
+        while (/\s/.test(this.expression[this.position] || '')) {
+            this.position++;
+        }
+    }
+
+    // The keyword at the current position, if there is one
+    peekKeyword() {
+        this.skipSpace();
+        const [word] = METHOD.exec(this.expression.slice(this.position)) || [];
+        const keyword = word?.toLowerCase();
+        return KEYWORDS.includes(keyword) ? { keyword, length: word.length } : null;
+    }
+
+    acceptKeyword(keyword) {
+        const next = this.peekKeyword();
+        if (next?.keyword !== keyword) {
+            return false;
+        }
+        this.position += next.length;
+        return true;
+    }
+
+    accept(char) {
+        this.skipSpace();
+        if (this.expression[this.position] !== char) {
+            return false;
+        }
+        this.position++;
+        return true;
+    }
+
+    parse() {
+        const query = this.disjunction();
+        this.skipSpace();
+        if (this.position < this.expression.length) {
+            const code = this.expression[this.position] === ')' ? 'unbalanced-parentheses' : 'unexpected-token';
+            throw this.error(`Unexpected "${this.expression.slice(this.position)}"`, code);
+        }
+        return query;
+    }
+
+    disjunction() {
+        const terms = [this.conjunction()];
+        while (this.acceptKeyword('or')) {
+            terms.push(this.conjunction());
+        }
+        return terms.length === 1 ? terms[0] : { any: terms };
+    }
+
+    conjunction() {
+        const terms = [this.negation()];
+        while (this.acceptKeyword('and')) {
+            terms.push(this.negation());
+        }
+        return terms.length === 1 ? terms[0] : { all: terms };
+    }
+
+    negation() {
+        if (this.acceptKeyword('not')) {
+            return { not: this.negation() };
+        }
+        const start = this.position;
+        if (this.accept('(')) {
+            const query = this.disjunction();
+            if (!this.accept(')')) {
+                throw this.error('Unmatched parentheses', 'unbalanced-parentheses', start);
+            }
+            // (PUT or PATCH) on #title: the checks in the group without a target of their own are about it
+            return this.acceptKeyword('on') ? withTarget(query, this.target()) : query;
+        }
+        return this.check();
+    }
+
+    check() {
+        const groups = [[this.method()]];
+        for (;;) {
+            if (this.accept('|')) {
+                groups[groups.length - 1].push(this.method());
+            } else if (this.accept(',')) {
+                groups.push([this.method()]);
+            } else {
+                break;
+            }
+        }
+        const on = this.acceptKeyword('on') ? this.target() : null;
+
+        // PUT|PATCH, DELETE: each check is about one set of methods that all have to be allowed
+        const leaf = (methods) => (on === null ? { methods } : { methods, on });
+        const alternatives = groups.map(group => group.length === 1
+            ? leaf(group)
+            : { any: group.map(method => leaf([method])) });
+        if (alternatives.every(alternative => alternative.methods)) {
+            const methods = alternatives.flatMap(alternative => alternative.methods);
+            return this.listOperator === 'all' ? leaf(methods) : { any: methods.map(method => leaf([method])) };
+        }
+        return alternatives.length === 1 ? alternatives[0] : { [this.listOperator]: alternatives };
+    }
+
+    method() {
+        this.skipSpace();
+        const [word] = METHOD.exec(this.expression.slice(this.position)) || [];
+        if (!word || KEYWORDS.includes(word.toLowerCase())) {
+            const found = this.expression.slice(this.position) || 'end of expression';
+            throw this.error(`Expected a method, found "${found}"`, 'unexpected-token');
+        }
+        this.position += word.length;
+        return word.toUpperCase();
+    }
+
+    // Everything up to the next "and", "or" or unmatched ")", outside brackets and quotes
+    target() {
+        this.skipSpace();
+        const start = this.position;
+        let depth = 0;
+        let quote = null;
+        let i = start;
+        for (; i < this.expression.length; i++) {
+            const char = this.expression[i];
+            if (char === '\\') {
+                i++;
+            } else if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '(' || char === '[') {
+                depth++;
+            } else if (char === ')' || char === ']') {
+                if (depth === 0) break;
+                depth--;
+            } else if (depth === 0 && /\s/.test(char) && /^\s+(and|or)(?=[\s(]|$)/i.test(this.expression.slice(i))) {
+                break;
+            }
+        }
+        const target = this.expression.slice(start, i).trim();
+        if (!target) {
+            throw this.error('Expected a target after "on"', 'missing-target', start);
+        }
+        this.position = i;
+        return target;
+    }
+}
+
+function withTarget(query, on) {
+    if (query.any) return { any: query.any.map(term => withTarget(term, on)) };
+    if (query.all) return { all: query.all.map(term => withTarget(term, on)) };
+    if (query.not) return { not: withTarget(query.not, on) };
+    return 'on' in query ? query : { ...query, on };
+}
+
+/**
+ * Parses an expression into a query
+ * - options.require: 'any' makes "," mean any of the methods, as "|" does
+ */
+export function parsePermissionExpression(expression, { require = 'all' } = {}) {
+    if (typeof expression !== 'string') {
+        throw new PermissionExpressionError('Expected a string', { code: 'invalid-query', expression });
+    }
+    return new Parser(expression, { require }).parse();
+}
+
+/**
+ * Checks a structured query, parsing any expressions in it, and returns it
+ * with every check's methods upper-cased
+ */
+export function normalizeQuery(query) {
+    if (typeof query === 'string') {
+        return parsePermissionExpression(query);
+    }
+    if (query && typeof query === 'object') {
+        if (Array.isArray(query.any) && query.any.length) {
+            return { any: query.any.map(normalizeQuery) };
+        }
+        if (Array.isArray(query.all) && query.all.length) {
+            return { all: query.all.map(normalizeQuery) };
+        }
+        if ('not' in query) {
+            return { not: normalizeQuery(query.not) };
+        }
+        const methods = typeof query.methods === 'string' ? [query.methods] : query.methods;
+        if (Array.isArray(methods) && methods.length && methods.every(method => typeof method === 'string')) {
+            const check = { methods: methods.map(method => method.trim().toUpperCase()) };
+            if (query.on != null) {
+                check.on = String(query.on);
+            }
+            return check;
+        }
+    }
+    throw new PermissionExpressionError(`Not a query: ${JSON.stringify(query)}`, { code: 'invalid-query' });
+}
+
+/**
+ * The checks a query is made of, in order
+ */
+export function queryChecks(query) {
+    if (query.any) return query.any.flatMap(queryChecks);
+    if (query.all) return query.all.flatMap(queryChecks);
+    if (query.not) return queryChecks(query.not);
+    return [query];
+}
+
+/**
+ * Evaluates a query, given whether each of its checks passed
+ */
+export function evaluateQuery(query, passed) {
+    if (query.any) return query.any.some(term => evaluateQuery(term, passed));
+    if (query.all) return query.all.every(term => evaluateQuery(term, passed));
+    if (query.not) return !evaluateQuery(query.not, passed);
+    return passed(query);
+}
+
+/**
+ * What a check's target is:
+ * - closest(tr) -> { closest: 'tr' }
+ * - /doc#(selector=li), #(selector=li) or /doc -> { request: '/doc#(selector=li)' }
+ * - #list -> { selector: '#list' }, in the document the expression is about
+ */
+export function parseTarget(target) {
+    const closest = /^closest\((.*)\)$/s.exec(target);
+    if (closest) {
+        return { closest: closest[1].trim() };
+    }
+    return REQUEST_TARGET.test(target) ? { request: target } : { selector: target };
+}
@@ -9,51 +9,217 @@
  * - #(selector=p) -> { href: null, selector: 'p' }
  * - http://example.com/path#(selector=p) -> { href: 'http://example.com/path', selector: 'p' }
  * - #(selector=tr:nth-child(15)) -> { href: null, selector: 'tr:nth-child(15)' }
+ * - #(selector=p)(method=PUT)(ttl=60) -> { href: null, selector: 'p', method: 'PUT', ttl: '60' }
+ * 
+ * The fragment is a run of (name=value) parameters. Parentheses inside
+ * quoted strings or escaped with a backslash don't count when looking for
+ * the end of a value, and values are percent-decoded.
+ */
+
+/**
+ * Thrown for a target whose fragment parameters can't be parsed or formatted
+ * - code: 'unbalanced-parentheses', 'unterminated-string',
+ *   'invalid-parameter', 'duplicate-parameter' or 'unexpected-character'
+ * - position: index in the target string where the problem was found
  */
+export class SelectorRequestError extends Error {
+    constructor(message, { code, position = null, target = null } = {}) {
+        super(`Selector-Request: ${message}`);
+        this.name = 'SelectorRequestError';
+        this.code = code;
+        this.position = position;
+        this.target = target;
+    }
+}
 
+const PARAMETER_NAME = /^[A-Za-z][\w-]*/;
+
+// Parameters that address part of a document, which is this one when there is no href
+const RANGE_PARAMETERS = ['selector', 'xpath', 'id'];
+
+// Characters a browser percent-encodes in a fragment, and '%' itself so that values round-trip
+const ENCODED_CHARACTERS = /[% "<>`]/g;
+
+// Quotes and backslashes keep their meaning when percent-encoded, as in location.href
+const ENCODED_SYNTAX = { '%22': '"', '%27': "'", '%5C': '\\' };
+
+function readCharacter(text, index) {
+    const encoded = ENCODED_SYNTAX[text.substr(index, 3).toUpperCase()];
+    return encoded ? { char: encoded, length: 3 } : { char: text[index], length: 1 };
+}
+
+// Returns the index of the ')' closing a value starting at `start`
+function scanValue(text, start, target = text) {
+    let depth = 1;
+    let quote = null;
+    let quoteStart = null;
+    let i = start;
+    while (i < text.length) {
+        const { char, length } = readCharacter(text, i);
+        if (char === '\\') {
+            i += length;
+            if (i < text.length) {
+                i += readCharacter(text, i).length;
+            }
+            continue;
+        }
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+            quoteStart = i;
+        } else if (char === '(') {
+            depth++;
+        } else if (char === ')' && --depth === 0) {
+            return i;
+        }
+        i += length;
+    }
+    if (quote) {
+        throw new SelectorRequestError('Unterminated string', {
+            code: 'unterminated-string', position: quoteStart, target
+        });
+    }
+    throw new SelectorRequestError('Unmatched parentheses', {
+        code: 'unbalanced-parentheses', position: start, target
+    });
+}
+
+// Decodes the valid percent-encoded runs, leaving a stray '%' as it is
+function decodeValue(value) {
+    return value.replace(/(?:%[0-9A-Fa-f]{2})+/g, run => {
+        try {
+            return decodeURIComponent(run);
+        } catch {
+            return run;
+        }
+    });
+}
+
+function encodeValue(value) {
+    return value.replace(ENCODED_CHARACTERS, char =>
+        '%' + char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')
+    );
+}
+
+// Percent-encodes the parentheses that don't pair up, which would otherwise end the value
+// early or leave it open; quoted and backslash-escaped ones are left as they are
+function encodeUnbalanced(value) {
+    const unbalanced = [];
+    const open = [];
+    let quote = null;
+    let i = 0;
+    while (i < value.length) {
+        const { char, length } = readCharacter(value, i);
+        if (char === '\\') {
+            i += length;
+            if (i < value.length) {
+                i += readCharacter(value, i).length;
+            }
+            continue;
+        }
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '(') {
+            open.push(i);
+        } else if (char === ')') {
+            if (open.length) {
+                open.pop();
+            } else {
+                unbalanced.push(i);
+            }
+        }
+        i += length;
+    }
+    unbalanced.push(...open);
+    return value.replace(/[()]/g, (char, index) =>
+        unbalanced.includes(index) ? (char === '(' ? '%28' : '%29') : char
+    );
+}
+
+function parseParameters(target, start) {
+    const parameters = {};
+    let i = start;
+    while (i < target.length) {
+        if (target[i] !== '(') {
+            throw new SelectorRequestError(`Unexpected "${target[i]}", expected "("`, {
+                code: 'unexpected-character', position: i, target
+            });
+        }
+        const name = target.slice(i + 1).match(PARAMETER_NAME)?.[0];
+        const valueStart = i + 1 + (name?.length || 0);
+        if (!name || name === 'href' || target[valueStart] !== '=') {
+            throw new SelectorRequestError('Expected a (name=value) parameter', {
+                code: 'invalid-parameter', position: i, target
+            });
+        }
+        if (Object.hasOwn(parameters, name)) {
+            throw new SelectorRequestError(`Duplicate parameter "${name}"`, {
+                code: 'duplicate-parameter', position: i, target
+            });
+        }
+        const end = scanValue(target, valueStart + 1, target);
+        parameters[name] = decodeValue(target.slice(valueStart + 1, end));
+        i = end + 1;
+    }
+    return parameters;
+}
+
+/**
+ * Parses a Selector-Request target
+ * @param {string} target - The target string to parse
+ * @returns {Object} { href: string|null, selector: string|null, ...parameters }
+ * @throws {SelectorRequestError} When the fragment parameters are malformed
+ */
 export function parseSelectorRequest(target) {
     if (!target) {
         return { href: null, selector: null };
     }
     
-    // Look for #(selector= pattern
-    const selectorStartIndex = target.indexOf('#(selector=');
+    // Look for the start of the fragment parameters
+    const fragmentIndex = target.indexOf('#(');
     
-    if (selectorStartIndex === -1) {
+    if (fragmentIndex === -1) {
         // No selector syntax, entire target is the href
         return { href: target, selector: null };
     }
     
-    // Found the selector pattern
-    const selectorStart = selectorStartIndex + 11; // Length of '#(selector='
-    
-    // Find the matching closing parenthesis by counting parentheses
-    let parenCount = 1;
-    let i = selectorStart;
-    while (i < target.length && parenCount > 0) {
-        if (target[i] === '(') parenCount++;
-        else if (target[i] === ')') parenCount--;
-        i++;
-    }
-    
-    if (parenCount !== 0) {
-        // Malformed selector syntax (unmatched parentheses)
-        console.warn('Selector-Request: Malformed selector syntax, unmatched parentheses');
-        return { href: target, selector: null };
-    }
-    
-    // Successfully found matching parenthesis
-    const selector = target.substring(selectorStart, i - 1);
-    
-    // Get the base path (everything before #(selector=)
-    const basePath = target.substring(0, selectorStartIndex);
+    const { selector = null, ...parameters } = parseParameters(target, fragmentIndex + 1);
     
     return {
-        href: basePath || null,
-        selector: selector
+        href: target.substring(0, fragmentIndex) || null,
+        selector,
+        ...parameters
     };
 }
 
+/**
+ * Builds a Selector-Request target, the inverse of parseSelectorRequest
+ * @param {Object} request - { href, selector, ...parameters }; null or undefined values are left out
+ * @returns {string} The target string
+ * @throws {SelectorRequestError} For an invalid parameter name, or a value with an unterminated quote or a trailing backslash
+ */
+export function formatSelectorRequest({ href = null, selector = null, ...parameters } = {}) {
+    const fragment = Object.entries({ selector, ...parameters })
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([name, value]) => {
+            if (name.match(PARAMETER_NAME)?.[0] !== name) {
+                throw new SelectorRequestError(`Invalid parameter name "${name}"`, {
+                    code: 'invalid-parameter'
+                });
+            }
+            const encoded = encodeUnbalanced(encodeValue(String(value)));
+            // Throws for an unterminated quote or a trailing backslash, which would run past the end of the value
+            scanValue(`${encoded})`, 0);
+            return `(${name}=${encoded})`;
+        })
+        .join('');
+    
+    return (href || '') + (fragment ? `#${fragment}` : '');
+}
+
 /**
  * Resolves relative URLs to absolute URLs
  * @param {string} href - The href to resolve (can be relative or absolute)
@@ -81,13 +247,14 @@ export function resolveHref(href, base = window.location.href) {
  * Combines parsing and resolution into a single function
  * @param {string} target - The target string to parse
  * @param {string} base - The base URL for resolution (defaults to window.location.href)
- * @returns {Object} { href: string|null, selector: string|null }
+ * @returns {Object} { href: string|null, selector: string|null, ...parameters }
+ * @throws {SelectorRequestError} When the fragment parameters are malformed
  */
 export function parseAndResolve(target, base = window.location.href) {
     const parsed = parseSelectorRequest(target);
     
-    // If no href and we have a selector, default to current page
-    if (!parsed.href && parsed.selector) {
+    // If no href and we address part of a document, default to current page
+    if (!parsed.href && RANGE_PARAMETERS.some(name => parsed[name] != null)) {
         parsed.href = base;
     } else if (parsed.href) {
         // Resolve relative URLs